@@ -0,0 +1,134 @@
+import { SKILL_LEVELS, autoplay } from '../src/autoplayer.js';
+import { Simulation, TICK_MS } from '../src/simulation.js';
+import { GameStats } from '../src/stats.js';
+
+// Plays games headless with the autoplayer and prints how they went, for
+// balancing difficulty tables and checking rule changes. Game n runs with
+// seed + n, so the same options always play out the same.
+//
+//   npm run autoplay                                          100 games, normal bot, normal difficulty
+//   npm run autoplay -- --games 5000 --skill expert --difficulty hard
+//   npm run autoplay -- --players 2 --seed 1234
+//   npm run autoplay -- --json                                one line of JSON per game instead
+const DEFAULTS = { games: 100, skill: 'normal', difficulty: 'normal', seed: 1, players: 1, json: false };
+const MAX_GAME_TICKS = 60 * 60 * 60; // An hour of play, in case a bot gets stuck
+
+function parseArgs(args) {
+    const options = { ...DEFAULTS };
+    for (let i = 0; i < args.length; i++) {
+        const name = args[i].replace(/^--/, '');
+        if (!(name in DEFAULTS)) {
+            throw new Error(`Unknown option "${args[i]}"`);
+        }
+        if (typeof DEFAULTS[name] === 'boolean') {
+            options[name] = true;
+        } else if (typeof DEFAULTS[name] === 'number') {
+            options[name] = Number(args[++i]);
+            if (!Number.isFinite(options[name])) {
+                throw new Error(`--${name} needs a number`);
+            }
+        } else {
+            options[name] = args[++i];
+        }
+    }
+    if (!(options.skill in SKILL_LEVELS)) {
+        throw new Error(`--skill is one of ${Object.keys(SKILL_LEVELS).join(', ')}`);
+    }
+    return options;
+}
+
+function playGame(options, seed) {
+    const sim = new Simulation({ seed, difficulty: options.difficulty, players: options.players });
+    const stats = new GameStats(sim);
+    autoplay(sim, { skill: options.skill, maxTicks: MAX_GAME_TICKS });
+
+    const { totals } = stats.summary();
+    return {
+        seed,
+        reason: sim.gameOverReason ?? 'timeout',
+        level: sim.level,
+        score: sim.score,
+        rating: stats.rating(),
+        waves: totals.waves,
+        perfect: totals.perfect,
+        missed: totals.missed,
+        forbidden: totals.forbidden,
+        time: sim.tick * TICK_MS
+    };
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+    const average = mean(values);
+    return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+// Value the given fraction of the games stay at or below, interpolated between neighbors
+function percentile(values, fraction) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * fraction;
+    const below = Math.floor(position);
+    const above = Math.ceil(position);
+    return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+const COLUMNS = {
+    mean,
+    'std dev': standardDeviation,
+    min: values => Math.min(...values),
+    p10: values => percentile(values, 0.1),
+    median: values => percentile(values, 0.5),
+    p90: values => percentile(values, 0.9),
+    max: values => Math.max(...values)
+};
+
+function printSummary(options, results) {
+    const row = (label, values, digits = 0) => {
+        const cells = Object.values(COLUMNS).map(column => column(values).toFixed(digits).padStart(10));
+        console.log(label.padEnd(12) + cells.join(''));
+    };
+
+    console.log(`${results.length} games, ${options.skill} bot, ${options.difficulty} difficulty, ` +
+        `${options.players} player(s), seeds ${options.seed}-${options.seed + results.length - 1}\n`);
+    console.log(''.padEnd(12) + Object.keys(COLUMNS).map(name => name.padStart(10)).join(''));
+    row('score', results.map(result => result.score));
+    row('level', results.map(result => result.level), 1);
+    row('I.Q.', results.map(result => result.rating));
+    row('waves', results.map(result => result.waves), 1);
+    row('perfect', results.map(result => result.perfect), 1);
+    row('missed', results.map(result => result.missed), 1);
+    row('missed/wave', results.map(result => result.missed / Math.max(result.waves, 1)), 2);
+    row('forbidden', results.map(result => result.forbidden), 1);
+    row('minutes', results.map(result => result.time / 60000), 1);
+
+    const reasons = {};
+    results.forEach(result => {
+        reasons[result.reason] = (reasons[result.reason] ?? 0) + 1;
+    });
+    console.log('\nGame over: ' + Object.entries(reasons)
+        .map(([reason, count]) => `${reason} ${(count / results.length * 100).toFixed(1)}%`)
+        .join(', '));
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+const results = [];
+for (let i = 0; i < options.games; i++) {
+    const result = playGame(options, options.seed + i);
+    results.push(result);
+    if (options.json) {
+        console.log(JSON.stringify(result));
+    }
+}
+if (!options.json && results.length > 0) {
+    printSummary(options, results);
+}
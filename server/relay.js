@@ -0,0 +1,249 @@
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { Random } from '../src/random.js';
+
+// Relay for versus games (see src/versus.js). Pairs up the first two players
+// to join a room, sends both the same seed and then forwards each player's
+// messages to the other one. It keeps no game state, the browsers run the
+// games. No dependencies: just enough of the WebSocket protocol (RFC 6455)
+// for small JSON text messages.
+//
+//   npm run relay                  listens on ws://localhost:8787
+//   PORT=9000 npm run relay        another port
+//   HOST=0.0.0.0 npm run relay     reachable from other machines on the network
+const PORT = Number(process.env.PORT ?? 8787);
+const HOST = process.env.HOST ?? 'localhost';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024; // Game messages are tiny, anything bigger closes the connection
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// One WebSocket connection. Calls onMessage(text) for every text message and
+// onClose() once when the connection ends.
+class Connection {
+    constructor(socket, { onMessage, onClose }) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // Payload parts of a fragmented message in progress
+        this.closed = false;
+
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.end());
+        socket.on('error', () => this.end());
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        let frame;
+        while (!this.closed && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    // Takes the next complete frame off the buffer, or returns null
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE_BYTES) {
+            this.close(1009);
+            return null;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+                this.fragments = [payload];
+                break;
+            case OPCODES.continuation:
+                if (!this.fragments) return;
+                this.fragments.push(payload);
+                break;
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, payload);
+                return;
+            case OPCODES.close:
+                this.close();
+                return;
+            default:
+                return;
+        }
+
+        if (!fin) return;
+        const message = Buffer.concat(this.fragments);
+        this.fragments = null;
+        if (message.length <= MAX_MESSAGE_BYTES) {
+            this.onMessage(message.toString('utf8'));
+        }
+    }
+
+    // Server frames are never masked
+    sendFrame(opcode, payload) {
+        if (this.closed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(message) {
+        this.sendFrame(OPCODES.text, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.sendFrame(OPCODES.close, payload);
+        this.socket.end();
+        this.end();
+    }
+
+    end() {
+        if (this.closed) return;
+        this.closed = true;
+        this.socket.destroy();
+        this.onClose();
+    }
+}
+
+// Room name -> { players: [player, ...], started }; a player is
+// { connection, room, difficulty }. A room hosts a single game: once it has
+// started nobody else can join, and it goes away when the last player leaves.
+const rooms = new Map();
+
+function join(player, { room, difficulty }) {
+    const name = String(room ?? '').trim().slice(0, 40) || 'default';
+    const entry = rooms.get(name) ?? { players: [], started: false };
+    if (entry.started) {
+        player.connection.send({ type: 'error', message: `Room "${name}" already has a game going` });
+        player.connection.close();
+        return;
+    }
+
+    player.room = name;
+    player.difficulty = difficulty ?? 'normal';
+    entry.players.push(player);
+    rooms.set(name, entry);
+
+    if (entry.players.length === 1) {
+        player.connection.send({ type: 'waiting' });
+        return;
+    }
+
+    // The player who opened the room picked the difficulty
+    entry.started = true;
+    const seed = Random.randomSeed();
+    entry.players.forEach((each, index) => {
+        each.connection.send({ type: 'start', seed, difficulty: entry.players[0].difficulty, player: index + 1 });
+    });
+    console.log(`Room "${name}": game started with seed ${seed}`);
+}
+
+function leave(player) {
+    const entry = rooms.get(player.room);
+    if (!entry) return;
+
+    entry.players = entry.players.filter(other => other !== player);
+    entry.players.forEach(other => other.connection.send({ type: 'opponentLeft' }));
+    if (entry.players.length === 0) {
+        rooms.delete(player.room);
+    }
+    player.room = null;
+}
+
+function handleMessage(player, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        return;
+    }
+    if (typeof message?.type !== 'string') return;
+
+    if (message.type === 'join') {
+        if (!player.room) join(player, message);
+        return;
+    }
+
+    // Everything else goes to the opponent as is
+    rooms.get(player.room)?.players
+        .filter(other => other !== player)
+        .forEach(other => other.connection.send(message));
+}
+
+const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('Intelligent Qube versus relay: connect with a WebSocket\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const player = { connection: null, room: null, difficulty: null };
+    player.connection = new Connection(socket, {
+        onMessage: text => handleMessage(player, text),
+        onClose: () => leave(player)
+    });
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`Versus relay listening on ws://${HOST}:${PORT}`);
+});
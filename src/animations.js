@@ -0,0 +1,74 @@
+// Central animation system. Game owns a single instance and ticks it from the
+// main loop, so every visual effect can be paused, sped up, awaited or
+// cancelled together instead of running its own requestAnimationFrame loop.
+
+export const Easing = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3)
+};
+
+export class AnimationManager {
+    constructor() {
+        this.animations = new Set();
+        this.timeScale = 1; // Multiplies every dt, e.g. 2 plays effects twice as fast
+    }
+
+    // Calls update(value, progress) every frame for `duration` ms, where
+    // progress goes 0..1 and value is progress passed through the easing
+    tween({ duration, easing = Easing.linear, update = () => {}, onComplete }) {
+        let elapsed = 0;
+        return this.add(dt => {
+            elapsed = Math.min(elapsed + dt, duration);
+            const progress = duration > 0 ? elapsed / duration : 1;
+            update(easing(progress), progress);
+            return progress < 1;
+        }, onComplete);
+    }
+
+    wait(duration) {
+        return this.tween({ duration });
+    }
+
+    // Open-ended animation: step(dt) runs every frame until it returns false.
+    // Returns a handle with cancel() and a promise that resolves to true when
+    // the animation completes or false when it was cancelled.
+    add(step, onComplete) {
+        const animation = { step, onComplete };
+        animation.promise = new Promise(resolve => {
+            animation.resolve = resolve;
+        });
+        animation.cancel = () => this.finish(animation, false);
+        this.animations.add(animation);
+        return animation;
+    }
+
+    update(dt) {
+        const scaledDt = dt * this.timeScale;
+        // Copy so animations can start or cancel others while we iterate
+        [...this.animations].forEach(animation => {
+            if (!this.animations.has(animation)) return;
+            if (animation.step(scaledDt) === false) {
+                this.finish(animation, true);
+            }
+        });
+    }
+
+    finish(animation, completed) {
+        if (!this.animations.delete(animation)) return;
+        if (completed && animation.onComplete) {
+            animation.onComplete();
+        }
+        animation.resolve(completed);
+    }
+
+    cancelAll() {
+        [...this.animations].forEach(animation => this.finish(animation, false));
+    }
+
+    get size() {
+        return this.animations.size;
+    }
+}
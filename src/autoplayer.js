@@ -0,0 +1,429 @@
+import { getCubeType } from './cubeTypes.js';
+import { Grid } from './grid.js';
+import { Random } from './random.js';
+import { CHAIN_DELAY_MS, FAST_FORWARD_SPEED, TICK_MS } from './simulation.js';
+
+// Computer player for demos, the attract mode and balance testing. It reads
+// the board like a player would (cubes and their types, its mark, advantage
+// areas, how long until the next roll) and plays through the same inputs as a
+// human: setMoveInput(), toggleMark(), triggerAllAdvantageSpots() and
+// setFastForward(). Call update() once before every sim.step().
+//
+// Since it only uses inputs, InputRecorder records bot games like any other.
+// Its own choices come from a PRNG seeded from the game, so a seed and a skill
+// level always play out the same.
+//
+// Strategy: keep a mark on the cell a wanted cube rolls into next, capture it
+// as it arrives, and never stand on a cell a cube is about to roll into. Areas
+// are set off once the chain they start catches enough cubes and no forbidden one.
+//
+// Skill fields:
+//   thinkTicks     ticks between decisions on where to go
+//   reactionTicks  ticks before reacting to a cube arriving on the mark or an area filling up
+//   mistakeRate    chance a decision ignores what the cubes are
+//   minAreaCubes   targets the advantage chain has to catch before it is set off
+//   fastForward    hold fast-forward once only forbidden cubes are left
+export const SKILL_LEVELS = {
+    novice: { thinkTicks: 20, reactionTicks: 25, mistakeRate: 0.25, minAreaCubes: 1, fastForward: false },
+    normal: { thinkTicks: 6, reactionTicks: 8, mistakeRate: 0.08, minAreaCubes: 2, fastForward: false },
+    expert: { thinkTicks: 1, reactionTicks: 2, mistakeRate: 0, minAreaCubes: 1, fastForward: true }
+};
+
+const ARRIVAL_TOLERANCE = 0.1; // Distance from a cell center that counts as standing on it
+const SAFETY_MARGIN_MS = 150; // Spare time kept when crossing a cell a cube is about to roll into
+
+export class AutoPlayer {
+    constructor(sim, { skill = 'normal', player = 0, seed = sim.seed } = {}) {
+        if (!(skill in SKILL_LEVELS)) {
+            throw new Error(`Unknown skill level "${skill}"`);
+        }
+        this.sim = sim;
+        this.skill = skill;
+        this.settings = SKILL_LEVELS[skill];
+        this.index = player;
+        this.random = new Random(seed).fork(`autoplayer-${player}`);
+        this.goal = null; // Cell the bot is walking to: { col, row, mark } where mark places a mark there
+        this.thinkTimer = 0;
+        this.pendingAction = null; // See chooseAction(), waiting for the reaction time
+        this.reactionTimer = 0;
+        this.judgedCube = null; // Last cube that arrived on the mark, and whether to take it
+        this.wantsCube = false;
+    }
+
+    get player() {
+        return this.sim.players[this.index];
+    }
+
+    update() {
+        const sim = this.sim;
+        const player = this.player;
+        if (sim.isGameOver || player.crushed) {
+            this.goal = null;
+            sim.setMoveInput({}, this.index);
+            return;
+        }
+
+        this.readBoard();
+        if (this.inDanger() && !this.nearestSafeCell()) {
+            this.goal = null;
+            this.escape();
+            sim.setMoveInput({}, this.index);
+            return;
+        }
+        this.act();
+
+        // Fleeing a cube can't wait for the next decision
+        if (--this.thinkTimer <= 0 || this.inDanger()) {
+            this.thinkTimer = this.settings.thinkTicks;
+            this.goal = this.chooseGoal();
+        }
+        if (this.goal?.mark && !player.mark && this.atCell(this.goal)) {
+            sim.toggleMark(this.index);
+            this.goal = this.chooseGoal();
+        }
+        sim.setMoveInput(this.steer(), this.index);
+
+        if (this.index === 0) {
+            sim.setFastForward(this.settings.fastForward && !player.mark && this.targetsLeft === 0);
+        }
+    }
+
+    // Caches what the decisions below need about the board for this tick
+    readBoard() {
+        const sim = this.sim;
+        this.cell = sim.cellOf(this.player);
+
+        // Time until the cubes roll again, at the current fast-forward speed
+        const speed = sim.fastForward ? FAST_FORWARD_SPEED : 1;
+        this.timeToRoll = (sim.moveInterval - sim.moveTimer) / speed;
+        this.rollInterval = sim.moveInterval / speed;
+        this.cellTime = 1000 / sim.playerSpeed;
+
+        // Stage cells as row * cols + col: the ones holding a cube, the ones the
+        // next roll moves a cube into, and the front cube of every column
+        const size = sim.cols * sim.rows;
+        if (this.occupied?.length !== size) {
+            this.occupied = new Uint8Array(size);
+            this.threatened = new Uint8Array(size);
+            this.distances = new Int16Array(size);
+            this.previous = new Int16Array(size);
+            this.queue = new Int16Array(size);
+        }
+        this.occupied.fill(0);
+        this.threatened.fill(0);
+        this.fronts = new Array(sim.cols).fill(null);
+        this.targetsLeft = 0;
+        sim.cubes.forEach(cube => {
+            if (cube.row >= 0 && cube.row < sim.rows) {
+                this.occupied[this.cellIndex(cube.col, cube.row)] = 1;
+            }
+            if (cube.row + 1 >= 0 && cube.row + 1 < sim.rows) {
+                this.threatened[this.cellIndex(cube.col, cube.row + 1)] = 1;
+            }
+            const front = this.fronts[cube.col];
+            if (!front || cube.row > front.row) {
+                this.fronts[cube.col] = cube;
+            }
+            if (getCubeType(cube.type).target) {
+                this.targetsLeft++;
+            }
+        });
+
+        this.findPaths(this.cell);
+    }
+
+    cellIndex(col, row) {
+        return row * this.sim.cols + col;
+    }
+
+    // Steps from the bot to a cell, or -1 if it can't get there
+    distanceTo(col, row) {
+        return this.onStage(col, row) ? this.distances[this.cellIndex(col, row)] : -1;
+    }
+
+    onStage(col, row) {
+        return col >= 0 && col < this.sim.cols && row >= 0 && row < this.sim.rows;
+    }
+
+    // Captures and releases with the mark and advantage triggers, each once the reaction
+    // time has passed since the chance came up
+    act() {
+        const action = this.chooseAction();
+        if (action !== this.pendingAction) {
+            this.pendingAction = action;
+            const reaction = this.settings.reactionTicks;
+            this.reactionTimer = Math.round(reaction / 2 + this.random.next() * reaction);
+        }
+        if (!action || this.reactionTimer-- > 0) return;
+
+        this.pendingAction = null;
+        if (action === 'trigger') {
+            this.sim.triggerAllAdvantageSpots(this.index);
+        } else {
+            this.sim.toggleMark(this.index);
+            this.thinkTimer = 0; // Free to mark again
+        }
+    }
+
+    // 'capture' | 'release' | 'trigger' | null
+    chooseAction() {
+        const sim = this.sim;
+        const mark = this.player.mark;
+        if (mark) {
+            const cube = sim.cubeStandingOn(mark.col, mark.row);
+            if (cube && cube !== this.judgedCube) {
+                this.judgedCube = cube;
+                this.wantsCube = getCubeType(cube.type).target || this.random.next() < this.settings.mistakeRate;
+            }
+            if (cube && this.wantsCube) return 'capture';
+            // Free the mark when nothing wanted will come this way
+            if (!cube && !sim.cubes.some(other => other.col === mark.col && other.row <= mark.row && getCubeType(other.type).target)) {
+                return 'release';
+            }
+        }
+
+        if (!sim.chain && sim.advantageSpots.size > 0 && this.shouldTrigger()) return 'trigger';
+        return null;
+    }
+
+    // Sets the areas off once the chain catches enough targets, or any at all
+    // if the next roll takes them out of reach. A forbidden cube anywhere in
+    // the chain holds it back: the row it costs and the wave's CLEAN bonus are
+    // worth more than the targets it would save.
+    shouldTrigger() {
+        // The trigger lands somewhere within the reaction time, judge the worst of it
+        const reaction = this.settings.reactionTicks;
+        const earliest = Math.round(reaction / 2) * TICK_MS;
+        const latest = Math.round(reaction * 1.5) * TICK_MS;
+        const now = this.worstChain(earliest, latest);
+        if (now.targets === 0 || now.forbidden > 0) return false;
+        if (now.targets >= this.settings.minAreaCubes) return true;
+        return this.worstChain(this.timeToRoll + earliest, this.timeToRoll + latest).targets === 0;
+    }
+
+    // Fewest targets and most forbidden cubes the chain catches when set off
+    // anywhere from earliest to latest ms from now
+    worstChain(earliest, latest) {
+        const first = this.planChain(earliest);
+        const last = this.planChain(latest);
+        return { targets: Math.min(first.targets, last.targets), forbidden: Math.max(first.forbidden, last.forbidden) };
+    }
+
+    // Targets and forbidden cubes the whole chain catches when set off delay ms
+    // from now, the way the simulation runs it: the areas go off CHAIN_DELAY_MS
+    // apart in order, each on the cubes that have rolled into it by then, and
+    // the ones catching an area-creating cube queue that cube's area at the end
+    planChain(delay) {
+        const sim = this.sim;
+        const areas = new Map(Array.from(sim.advantageSpots, ([key, spot]) => [key, spot.cells]));
+        const pending = Array.from(areas.keys());
+        const caught = new Set();
+        let targets = 0;
+        let forbidden = 0;
+        for (let i = 0; i < pending.length; i++) {
+            const cells = areas.get(pending[i]);
+            if (!cells) continue;
+            areas.delete(pending[i]);
+
+            const time = delay + i * CHAIN_DELAY_MS;
+            const rolls = time < this.timeToRoll ? 0 : 1 + Math.floor((time - this.timeToRoll) / this.rollInterval);
+            cells.forEach(({ col, row }) => {
+                const cube = sim.cubeAt(col, row - rolls);
+                if (!cube || caught.has(cube)) return;
+                caught.add(cube);
+
+                const type = getCubeType(cube.type);
+                if (type.target) targets++;
+                if (type.costsRow) forbidden++;
+                if (type.createsArea) {
+                    const key = Grid.key(col, row);
+                    areas.set(key, sim.areaCells(col, row));
+                    pending.push(key);
+                }
+            });
+        }
+        return { targets, forbidden };
+    }
+
+    // The bot's own cell is threatened and the roll is close
+    inDanger() {
+        const { col, row } = this.cell;
+        if (!this.onStage(col, row)) return false;
+        const index = this.cellIndex(col, row);
+        return this.occupied[index] === 1 ||
+            (this.threatened[index] === 1 && this.timeToRoll < this.cellTime * 2 + SAFETY_MARGIN_MS);
+    }
+
+    // Where to go next: a cell to mark when there is time to mark it and get
+    // away, otherwise the nearest cell no cube is about to roll into
+    chooseGoal() {
+        if (!this.player.mark && !this.inDanger()) {
+            const markCell = this.chooseMarkCell();
+            if (markCell) return { ...markCell, mark: true };
+        }
+        return this.nearestSafeCell();
+    }
+
+    // Boxed in with a cube about to roll onto the bot: catching it with a mark
+    // under the bot costs less than getting crushed, even a forbidden one
+    escape() {
+        const sim = this.sim;
+        const mark = this.player.mark;
+        const { col, row } = this.cell;
+        if (!mark || mark.col !== col || mark.row !== row || sim.cubeAt(col, row)) {
+            // Also gets a mark elsewhere out of the way for the next tick
+            sim.toggleMark(this.index);
+        }
+    }
+
+    // Cells just in front of each column's front cube, best value first
+    chooseMarkCell() {
+        const sim = this.sim;
+        const candidates = [];
+        this.fronts.forEach((front, col) => {
+            if (!front) return;
+            const arriving = this.nextWanted(col, front);
+            if (!arriving) return;
+
+            // Right in front of the column if there is time to mark it and step
+            // away before the roll, otherwise one row further
+            for (const row of [front.row + 1, front.row + 2]) {
+                const distance = this.distanceTo(col, row);
+                if (distance < 0) continue;
+                const threatened = this.threatened[this.cellIndex(col, row)] === 1;
+                if (threatened && (distance + 2) * this.cellTime + SAFETY_MARGIN_MS > this.timeToRoll) continue;
+
+                // Columns closing in on the edge first, cubes opening an area for the chains
+                let value = 100 + 10 * arriving.cube.row;
+                if (getCubeType(arriving.cube.type).createsArea) value += 60;
+                value -= 40 * arriving.wait + 25 * (row - front.row - 1) + 10 * distance;
+                candidates.push({ col, row, value });
+                break;
+            }
+        });
+        if (candidates.length === 0) return null;
+
+        if (this.random.next() < this.settings.mistakeRate) {
+            return candidates[this.random.int(candidates.length)];
+        }
+        return candidates.reduce((best, candidate) => (candidate.value > best.value ? candidate : best));
+    }
+
+    // First cube in a column worth marking, starting from its front cube, and
+    // how many forbidden cubes have to pass first
+    nextWanted(col, front) {
+        let wait = 0;
+        for (let row = front.row; ; row--) {
+            const cube = this.sim.cubeAt(col, row);
+            if (!cube) return null;
+            if (getCubeType(cube.type).target) return { cube, wait };
+            wait++;
+        }
+    }
+
+    nearestSafeCell() {
+        const cols = this.sim.cols;
+        let best = null;
+        this.distances.forEach((distance, index) => {
+            if (distance < 0 || this.occupied[index] || this.threatened[index]) return;
+            // Nearest first, then closer to the wave so the next mark is quick
+            const col = index % cols;
+            const row = (index - col) / cols;
+            const front = this.fronts[col]?.row ?? -Infinity;
+            const score = distance * 10 + (row - front > 2 ? 1 : 0);
+            if (!best || score < best.score) {
+                best = { col, row, score };
+            }
+        });
+        return best && { col: best.col, row: best.row, mark: false };
+    }
+
+    // Breadth-first steps to every reachable cell, walking around cubes. A cell
+    // a cube is about to roll into only counts if the bot would be through it
+    // in time. Fills distances (-1 for unreachable) and previous, the cell each
+    // one is reached from.
+    findPaths(start) {
+        const sim = this.sim;
+        const cols = sim.cols;
+        const { distances, previous, queue } = this;
+        distances.fill(-1);
+        if (!this.onStage(start.col, start.row)) return;
+
+        const startIndex = this.cellIndex(start.col, start.row);
+        distances[startIndex] = 0;
+        previous[startIndex] = -1;
+        queue[0] = startIndex;
+        let head = 0;
+        let tail = 1;
+        while (head < tail) {
+            const index = queue[head++];
+            const col = index % cols;
+            const row = (index - col) / cols;
+            const distance = distances[index] + 1;
+            const passable = (distance + 1) * this.cellTime + SAFETY_MARGIN_MS <= this.timeToRoll;
+            const visit = (nextCol, nextRow) => {
+                if (!this.onStage(nextCol, nextRow)) return;
+                const next = this.cellIndex(nextCol, nextRow);
+                if (distances[next] >= 0 || this.occupied[next] || (this.threatened[next] && !passable)) return;
+                distances[next] = distance;
+                previous[next] = index;
+                queue[tail++] = next;
+            };
+            visit(col + 1, row);
+            visit(col - 1, row);
+            visit(col, row + 1);
+            visit(col, row - 1);
+        }
+    }
+
+    atCell({ col, row }) {
+        const sim = this.sim;
+        const player = this.player;
+        return Math.abs(player.x - sim.grid.toX(col)) <= ARRIVAL_TOLERANCE &&
+            Math.abs(player.z - sim.grid.toZ(row)) <= ARRIVAL_TOLERANCE;
+    }
+
+    // Movement input toward the goal, one cell of the path at a time
+    steer() {
+        const goal = this.goal;
+        if (!goal) return {};
+
+        // Walk the path back from the goal to the cell after the current one
+        if (this.distanceTo(goal.col, goal.row) < 0) return {};
+        const sim = this.sim;
+        let index = this.cellIndex(goal.col, goal.row);
+        while (this.distances[index] > 1) {
+            index = this.previous[index];
+        }
+        const step = { col: index % sim.cols, row: Math.floor(index / sim.cols) };
+
+        const dx = sim.grid.toX(step.col) - this.player.x;
+        const dz = sim.grid.toZ(step.row) - this.player.z;
+        // One axis at a time, so the bot never cuts a corner through a cube
+        if (Math.abs(dz) > ARRIVAL_TOLERANCE && step.row !== this.cell.row) {
+            return { up: dz < 0, down: dz > 0 };
+        }
+        if (Math.abs(dx) > ARRIVAL_TOLERANCE && step.col !== this.cell.col) {
+            return { left: dx < 0, right: dx > 0 };
+        }
+        // Centering on the goal cell
+        return {
+            up: dz < -ARRIVAL_TOLERANCE,
+            down: dz > ARRIVAL_TOLERANCE,
+            left: dx < -ARRIVAL_TOLERANCE,
+            right: dx > ARRIVAL_TOLERANCE
+        };
+    }
+}
+
+// Plays a game to the end with bots for every player, headless. The
+// simulation should be fresh; attach InputRecorder or GameStats before calling.
+export function autoplay(sim, { skill = 'normal', maxTicks = Infinity } = {}) {
+    const bots = sim.players.map((player, index) => new AutoPlayer(sim, { skill, player: index }));
+    sim.start();
+    while (!sim.isGameOver && sim.tick < maxTicks) {
+        bots.forEach(bot => bot.update());
+        sim.step();
+    }
+    return sim;
+}
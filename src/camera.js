@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+import { Easing } from './animations';
+
+// Camera modes, cycled with the camera key:
+//   classic   the original fixed view from the front right
+//   follow    behind and above the player (both players in co-op), trailing smoothly
+//   overhead  straight down over the whole stage
+//   dynamic   an angled view framing the active wave and the player
+// Switching modes, or the stage changing length, glides the camera to its new
+// framing instead of cutting.
+export const CAMERA_MODES = ['classic', 'follow', 'overhead', 'dynamic'];
+
+const TRANSITION_MS = 800;
+const FOLLOW_SMOOTHING_MS = 150; // Time constant the moving modes trail their target with
+const FRAME_MARGIN = 1.15; // Room left around a framed area
+
+const CLASSIC_POSITION = new THREE.Vector3(15, 20, 35);
+const CLASSIC_TARGET = new THREE.Vector3(0, 0, 0);
+const DYNAMIC_DIRECTION = new THREE.Vector3(0.3, 0.9, 1).normalize(); // From the framed area toward the camera
+const OVERHEAD_DIRECTION = new THREE.Vector3(0, 1, 0.05).normalize(); // Slight tilt keeps "up" on screen the back of the stage
+
+export class CameraController {
+    constructor(camera, mode = 'classic') {
+        this.camera = camera;
+        this.mode = CAMERA_MODES.includes(mode) ? mode : 'classic';
+        this.position = CLASSIC_POSITION.clone();
+        this.target = CLASSIC_TARGET.clone();
+        this.transition = null; // { from: { position, target }, elapsed } while gliding to a new framing
+        this.apply();
+    }
+
+    // Switches to the next mode and returns its name
+    cycle() {
+        const index = CAMERA_MODES.indexOf(this.mode);
+        this.setMode(CAMERA_MODES[(index + 1) % CAMERA_MODES.length]);
+        return this.mode;
+    }
+
+    setMode(mode) {
+        if (!CAMERA_MODES.includes(mode)) {
+            throw new Error(`Unknown camera mode "${mode}"`);
+        }
+        this.mode = mode;
+        this.reframe();
+    }
+
+    // Glide to the current mode's framing, e.g. after the stage changed length
+    reframe() {
+        this.transition = { from: { position: this.position.clone(), target: this.target.clone() }, elapsed: 0 };
+    }
+
+    // Moves the camera for a frame of dt ms
+    update(sim, dt) {
+        const pose = this.poseFor(sim);
+
+        if (this.transition) {
+            const transition = this.transition;
+            transition.elapsed += dt;
+            const progress = Math.min(transition.elapsed / TRANSITION_MS, 1);
+            const blend = Easing.easeInOutQuad(progress);
+            this.position.lerpVectors(transition.from.position, pose.position, blend);
+            this.target.lerpVectors(transition.from.target, pose.target, blend);
+            if (progress === 1) {
+                this.transition = null;
+            }
+        } else if (this.mode === 'follow' || this.mode === 'dynamic') {
+            const blend = 1 - Math.exp(-dt / FOLLOW_SMOOTHING_MS);
+            this.position.lerp(pose.position, blend);
+            this.target.lerp(pose.target, blend);
+        } else {
+            this.position.copy(pose.position);
+            this.target.copy(pose.target);
+        }
+
+        this.apply();
+    }
+
+    apply() {
+        this.camera.position.copy(this.position);
+        this.camera.lookAt(this.target);
+    }
+
+    // Where the camera wants to be in the current mode: { position, target }
+    poseFor(sim) {
+        const halfWidth = sim.cols * sim.cubeSize / 2;
+        const standing = sim.players.filter(player => !player.crushed);
+        const players = standing.length > 0 ? standing : sim.players;
+
+        if (this.mode === 'follow') {
+            // Midpoint of the players, pulled back as they spread apart
+            const center = players.reduce((sum, player) => sum.add(new THREE.Vector3(player.x, 0, player.z)), new THREE.Vector3())
+                .divideScalar(players.length);
+            const spread = Math.max(...players.map(player => Math.abs(player.z - center.z)));
+            const x = center.x * 0.5; // Only drift sideways, the stage is narrow
+            return {
+                position: new THREE.Vector3(x, 9 + spread, center.z + 11 + spread),
+                target: new THREE.Vector3(x, 0, center.z - 4)
+            };
+        }
+
+        if (this.mode === 'overhead') {
+            // The whole stage plus the rows where waves wait behind it
+            return this.frame(sim.stageBack - 4, sim.stageFront, halfWidth, OVERHEAD_DIRECTION);
+        }
+
+        if (this.mode === 'dynamic') {
+            // The cubes still in play and the players, or the stage between waves
+            let back = Math.min(...players.map(player => player.z)) - 1;
+            let front = Math.max(...players.map(player => player.z)) + 1;
+            sim.cubes.forEach(cube => {
+                back = Math.min(back, cube.z - sim.cubeSize / 2);
+                front = Math.max(front, cube.z + sim.cubeSize / 2);
+            });
+            if (sim.cubes.length === 0) {
+                back = Math.min(back, sim.stageBack);
+                front = Math.max(front, sim.stageFront);
+            }
+            return this.frame(back, front, halfWidth, DYNAMIC_DIRECTION);
+        }
+
+        return { position: CLASSIC_POSITION.clone(), target: CLASSIC_TARGET.clone() };
+    }
+
+    // Looks along direction at the middle of the area between z = back..front,
+    // from far enough away that its length and width fit on screen
+    frame(back, front, halfWidth, direction) {
+        const target = new THREE.Vector3(0, 0, (back + front) / 2);
+        const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        // Depth seen at an angle appears foreshortened
+        const length = (front - back) * Math.sqrt(1 - direction.z * direction.z);
+        const distance = FRAME_MARGIN * Math.max(length / 2 / tanHalfFov, halfWidth / (tanHalfFov * this.camera.aspect));
+        return { position: target.clone().addScaledVector(direction, distance), target };
+    }
+}
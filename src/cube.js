@@ -1,38 +1,18 @@
 import * as THREE from 'three';
+import { Easing } from './animations';
+import { getCubeType } from './cubeTypes';
 
 export class Cube {
     constructor(type, position) {
-        this.type = type; // 'normal', 'advantage', or 'forbidden'
+        this.type = type; // Name in the cube type registry
         this.position = position;
         this.mesh = this.createMesh();
     }
 
     createMesh() {
         const geometry = new THREE.BoxGeometry(1, 1, 1);
-        let material;
-        
-        switch(this.type) {
-            case 'advantage':
-                material = new THREE.MeshPhongMaterial({ 
-                    color: 0x00ff00,
-                    emissive: 0x00ff00,
-                    emissiveIntensity: 0.5
-                });
-                break;
-            case 'forbidden':
-                material = new THREE.MeshPhongMaterial({ 
-                    color: 0x000000,
-                    emissive: 0x000000,
-                    emissiveIntensity: 0.2
-                });
-                break;
-            default:
-                material = new THREE.MeshPhongMaterial({ 
-                    color: 0x808080,
-                    emissive: 0x808080,
-                    emissiveIntensity: 0.2
-                });
-        }
+        const { color, emissive, emissiveIntensity, edgeColor } = getCubeType(this.type).material;
+        const material = new THREE.MeshPhongMaterial({ color, emissive, emissiveIntensity });
 
         const mesh = new THREE.Mesh(geometry, material);
         mesh.position.set(this.position.x, this.position.y, this.position.z);
@@ -43,9 +23,7 @@ export class Cube {
         const edges = new THREE.EdgesGeometry(geometry);
         const line = new THREE.LineSegments(
             edges,
-            new THREE.LineBasicMaterial({ 
-                color: this.type === 'forbidden' ? 0x404040 : 0x000000 
-            })
+            new THREE.LineBasicMaterial({ color: edgeColor })
         );
         mesh.add(line);
 
@@ -56,32 +34,27 @@ export class Cube {
         return this.mesh.position;
     }
 
-    // Add falling animation
-    startFalling() {
+    // Add falling animation, driven by the game's AnimationManager
+    startFalling(animations) {
         const startY = this.mesh.position.y;
-        const fallSpeed = 0.05;
-        const rotateSpeed = 0.05;
-        let progress = 0;
+        const startRotation = this.mesh.rotation.clone();
 
-        const animate = () => {
-            if (progress < 1) {
-                progress += fallSpeed;
-                
+        return animations.tween({
+            duration: 1000 / 3,
+            easing: Easing.easeInQuad,
+            update: (fall, progress) => {
                 // Move down and rotate with easing
-                this.mesh.position.y = startY - (progress * progress * 10);
-                this.mesh.rotation.x += rotateSpeed;
-                this.mesh.rotation.z += rotateSpeed;
-                
+                this.mesh.position.y = startY - fall * 10;
+                this.mesh.rotation.x = startRotation.x + progress;
+                this.mesh.rotation.z = startRotation.z + progress;
+
                 // Fade out more slowly
-                this.mesh.material.opacity = 1 - (progress * progress);
-                
-                requestAnimationFrame(animate);
-            } else {
+                this.mesh.material.opacity = 1 - fall;
+            },
+            onComplete: () => {
                 // Remove the cube when animation is complete
                 this.mesh.parent.remove(this.mesh);
             }
-        };
-
-        animate();
+        }).promise;
     }
 } 
\ No newline at end of file
@@ -0,0 +1,95 @@
+// Cube type registry. Everything that sets one kind of cube apart (looks,
+// scoring, what happens when it is captured or rolls off, how often it
+// spawns) is declared here, so a new type is a single registerCubeType() call.
+// Like the simulation it has no Three.js dependency; the view builds the
+// mesh from the material description.
+//
+// Definition fields (all optional except symbol):
+//   symbol       single character used for the type in puzzle grids
+//   material     { color, emissive, emissiveIntensity, edgeColor }
+//   score        points for capturing it with a mark
+//   areaScore    points for clearing it with an advantage area, before the combo multiplier
+//   target       has to be captured: counts toward perfect waves
+//   createsArea  capturing it opens an advantage area around its cell
+//   costsRow     capturing it takes a row off the stage
+//   spawnWeight  relative chance in random waves, 0 never spawns
+//   onCapture    (sim, cube, method)  method: 'mark' | 'area'. Runs while the cube
+//                is still on the stage; returning false keeps it there unscored,
+//                e.g. an armored cube that takes two captures
+//   onFallOff    (sim, cube)          rolled off the front of the stage
+const cubeTypes = new Map();
+
+export function registerCubeType(name, definition) {
+    if (!definition.symbol || definition.symbol.length !== 1 || definition.symbol === '.') {
+        throw new Error(`Cube type "${name}" needs a single character symbol other than "."`);
+    }
+    const clash = Array.from(cubeTypes.values()).find(type => type.symbol === definition.symbol && type.name !== name);
+    if (clash) {
+        throw new Error(`Cube type "${name}" reuses the symbol "${definition.symbol}" of "${clash.name}"`);
+    }
+
+    const type = {
+        material: { color: 0x808080, emissive: 0x808080, emissiveIntensity: 0.2, edgeColor: 0x000000 },
+        score: 0,
+        areaScore: 0,
+        target: false,
+        createsArea: false,
+        costsRow: false,
+        spawnWeight: 0,
+        onCapture: () => {},
+        onFallOff: () => {},
+        ...definition,
+        name,
+        symbol: definition.symbol.toUpperCase()
+    };
+    cubeTypes.set(name, type);
+    return type;
+}
+
+export function getCubeType(name) {
+    const type = cubeTypes.get(name);
+    if (!type) {
+        throw new Error(`Unknown cube type "${name}"`);
+    }
+    return type;
+}
+
+export function getCubeTypes() {
+    return Array.from(cubeTypes.values());
+}
+
+export function cubeTypeForSymbol(symbol) {
+    const key = String(symbol).toUpperCase();
+    return getCubeTypes().find(type => type.symbol === key) ?? null;
+}
+
+registerCubeType('normal', {
+    symbol: 'N',
+    material: { color: 0x808080, emissive: 0x808080, emissiveIntensity: 0.2, edgeColor: 0x000000 },
+    score: 100,
+    areaScore: 200,
+    target: true,
+    spawnWeight: 70,
+    onFallOff: (sim, cube) => sim.missCube(cube)
+});
+
+registerCubeType('advantage', {
+    symbol: 'A',
+    material: { color: 0x00ff00, emissive: 0x00ff00, emissiveIntensity: 0.5, edgeColor: 0x000000 },
+    score: 100,
+    areaScore: 200,
+    target: true,
+    createsArea: true,
+    spawnWeight: 15,
+    onFallOff: (sim, cube) => sim.missCube(cube)
+});
+
+// Letting forbidden cubes go is correct play, capturing one costs a row
+registerCubeType('forbidden', {
+    symbol: 'F',
+    material: { color: 0x000000, emissive: 0x000000, emissiveIntensity: 0.2, edgeColor: 0x404040 },
+    score: -1000,
+    areaScore: -1000,
+    costsRow: true,
+    spawnWeight: 15
+});
@@ -0,0 +1,129 @@
+import { getCubeType } from './cubeTypes.js';
+
+// Difficulty tables drive the random wave generator level by level. A table
+// can be one of the built-in presets or custom JSON:
+//
+//   {
+//     "name": "Marathon",
+//     "base": "easy",                          // preset for missing fields (optional, default normal)
+//     "rows": 31,                              // starting stage length
+//     "depth": [3, 3, 4, 4, 5],                // wave depth in rows
+//     "moveInterval": [3500, 3000],            // ms between cube rolls
+//     "wavesPerLevel": 3,
+//     "mix": { "normal": 80, "advantage": 15, "forbidden": 5 }  // relative spawn weights
+//   }
+//
+// Every per-level field takes a single value for all levels or an array
+// indexed by level, where the last entry carries over to later levels.
+// Leaving out "mix" (or setting it to null) uses the spawn weights from the
+// cube type registry. Puzzle packs bring their own waves and ignore the table.
+export const DIFFICULTY_PRESETS = {
+    easy: {
+        name: 'Easy',
+        rows: 29,
+        depth: [3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10],
+        moveInterval: [3500, 3500, 3250],
+        wavesPerLevel: 3,
+        mix: { normal: 75, advantage: 18, forbidden: 7 }
+    },
+    normal: {
+        name: 'Normal',
+        rows: 25,
+        depth: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14],
+        moveInterval: 3000,
+        wavesPerLevel: 4,
+        mix: null
+    },
+    hard: {
+        name: 'Hard',
+        rows: 21,
+        depth: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
+        moveInterval: [2500, 2300, 2100, 1900, 1800],
+        wavesPerLevel: 4,
+        mix: { normal: 60, advantage: 15, forbidden: 25 }
+    }
+};
+
+const LEVEL_FIELDS = ['depth', 'moveInterval', 'wavesPerLevel', 'mix'];
+
+// Accepts a preset name, a table object or a JSON string and returns a
+// normalized table: { name, rows, depth: [], moveInterval: [], wavesPerLevel: [], mix: [] }
+export function parseDifficulty(source = 'normal') {
+    let table = source;
+    if (typeof source === 'string') {
+        const text = source.trim();
+        table = text.startsWith('{') ? JSON.parse(text) : presetFor(text);
+    }
+
+    const base = presetFor(table.base ?? 'normal');
+    const difficulty = {
+        name: String(table.name ?? 'Custom'),
+        rows: readInt(table.rows ?? base.rows, 'rows', 5)
+    };
+
+    LEVEL_FIELDS.forEach(field => {
+        const value = field in table ? table[field] : base[field];
+        const values = Array.isArray(value) ? value : [value];
+        if (values.length === 0) {
+            throw new Error(`Difficulty "${field}" needs at least one entry`);
+        }
+        difficulty[field] = values.map(entry => field === 'mix' ? readMix(entry) : readInt(entry, field, 1));
+    });
+
+    return difficulty;
+}
+
+// Settings for one level: { depth, moveInterval, wavesPerLevel, mix }
+export function levelSettings(difficulty, level) {
+    const settings = {};
+    LEVEL_FIELDS.forEach(field => {
+        const values = difficulty[field];
+        settings[field] = values[Math.min(level, values.length) - 1];
+    });
+    return settings;
+}
+
+// Browser helper for tables hosted next to the game
+export async function fetchDifficulty(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load difficulty ${url} (${response.status})`);
+    }
+    return parseDifficulty(await response.text());
+}
+
+function presetFor(name) {
+    const preset = DIFFICULTY_PRESETS[String(name).toLowerCase()];
+    if (!preset) {
+        throw new Error(`Unknown difficulty preset "${name}"`);
+    }
+    return preset;
+}
+
+function readInt(value, name, min) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw new Error(`Difficulty "${name}" must be an integer of at least ${min}, got "${value}"`);
+    }
+    return number;
+}
+
+function readMix(mix) {
+    if (mix === null || mix === undefined) return null;
+
+    let total = 0;
+    const weights = {};
+    Object.entries(mix).forEach(([type, weight]) => {
+        getCubeType(type); // Throws for unknown types
+        const number = Number(weight);
+        if (!Number.isFinite(number) || number < 0) {
+            throw new Error(`Difficulty mix weight for "${type}" must be a non-negative number, got "${weight}"`);
+        }
+        weights[type] = number;
+        total += number;
+    });
+    if (total <= 0) {
+        throw new Error('Difficulty mix needs at least one positive weight');
+    }
+    return weights;
+}
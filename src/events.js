@@ -0,0 +1,32 @@
+// Minimal event emitter so game logic can notify views without depending on the DOM
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // event name -> Set of handlers
+    }
+
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    emit(event, ...args) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+        // Copy so handlers can unsubscribe while we iterate
+        [...handlers].forEach(handler => handler(...args));
+    }
+
+    removeAllListeners() {
+        this.listeners.clear();
+    }
+}
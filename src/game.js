@@ -1,8 +1,63 @@
 import * as THREE from 'three';
 import { Cube } from './cube';
+import { getCubeType } from './cubeTypes';
+import { Simulation, TICK_MS } from './simulation';
+import { Random } from './random';
+import { InputRecorder, ReplayPlayer } from './replay';
+import { loadJSON, saveJSON, removeItem } from './storage';
+import { AnimationManager, Easing } from './animations';
+import { DIFFICULTY_PRESETS, parseDifficulty } from './difficulty';
+import { GameStats } from './stats';
+import { GamepadInput } from './gamepad';
+import { TouchControls, isTouchDevice } from './touch';
+import { KEY_ACTIONS, KEYS_PER_ACTION, KeyBindings, keyLabel } from './keyBindings';
+import { SOUND_CHANNELS, SoundEngine, tempoForRows } from './sound';
+import { CameraController } from './camera';
+import { DEFAULT_SERVER_URL, VersusClient, garbageForCombo, garbageForWave } from './versus';
+import { AutoPlayer, SKILL_LEVELS } from './autoplayer';
+import { MAX_NAME_LENGTH, addHighScore, highScoreCategory, loadAllHighScores, qualifiesForHighScore } from './highScores';
+
+const SAVE_KEY = 'savedGame';
+const DIFFICULTY_KEY = 'difficulty';
+const PLAYER_NAME_KEY = 'playerName';
+const CAMERA_KEY = 'cameraMode';
+const PLAYERS_KEY = 'players';
+const VERSUS_KEY = 'versus'; // Last server and room joined
+const DEMO_SKILL_KEY = 'demoSkill';
+
+// Shirt and mark colors of player 1 and player 2
+const PLAYER_COLORS = [0xffffff, 0x3399ff];
+const MARK_COLORS = [0xff0000, 0xff8800];
+const LEVEL_TRANSITION_MS = 2000;
+const MAX_FRAME_MS = 250; // Longer frames (tab stutter, breakpoints) are clamped instead of fast-forwarding
+const ATTRACT_IDLE_MS = 20000; // Time on the title screen without input before the demo starts
+const DEMO_RESULTS_MS = 8000; // How long a finished demo shows its results
+const GROUND_PLANE = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// "2 FORBIDDEN ROWS + 1 STAGE ROW" style text for versus garbage
+function describeGarbage({ forbiddenRows, stageRows }) {
+    const parts = [];
+    if (forbiddenRows > 0) parts.push(`${forbiddenRows} FORBIDDEN ROW${forbiddenRows > 1 ? 'S' : ''}`);
+    if (stageRows > 0) parts.push(`${stageRows} STAGE ROW${stageRows > 1 ? 'S' : ''}`);
+    return parts.join(' + ');
+}
+
+export const GameState = Object.freeze({
+    TITLE: 'title',
+    PLAYING: 'playing',
+    PAUSED: 'paused',
+    LEVEL_TRANSITION: 'levelTransition',
+    GAME_OVER: 'gameOver'
+});
 
 export class Game {
-    constructor() {
+    constructor(options = {}) {
+        this.options = options;
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 1000);
         this.renderer = new THREE.WebGLRenderer({ 
@@ -21,38 +76,52 @@ export class Game {
         this.levelElement = document.getElementById('level');
         this.scoreElement = document.getElementById('score');
         this.rowsElement = document.getElementById('rows');
-        
+        this.seedElement = document.getElementById('seed');
+        this.parElement = document.getElementById('par');
+
         // Add controls UI
+        this.bindings = new KeyBindings();
         this.createControlsUI();
-        
-        // Game state
-        this.level = 1;
-        this.score = 0;
-        this.rows = 25; // Starting with 25 rows
-        this.cols = 8;  // 8 columns wide
-        this.cubeSize = 1;
-        this.playerPosition = { x: 0, z: this.rows/2 - 2 }; // Start player near the bottom
-        this.markedCells = new Map(); // Map of "x,z" -> cell mesh
-        this.advantageSpots = new Map(); // Changed to Map to store 3x3 area markers
-        this.cubes = [];
-        this.gridCells = []; // Array of cell meshes
-        this.moveTimer = 0;
-        this.moveInterval = 180; // Increased from 120 to 180 frames to slow down cube movement
-        this.isGameOver = false;
-        this.currentWave = 0;
-        this.wavesPerLevel = 4;
-        this.cubeSpeed = 0.05;
-        this.advantageCubes = [];
-        this.forbiddenCubes = [];
-        this.rollingCubes = new Set(); // Track cubes currently in rolling animation
-        this.playerMoveTimer = 0;
-        this.playerMoveInterval = 150; // Add delay between player movements
-        this.lastPlayerMove = { x: 0, z: 0 };
-        this.playerSpeed = 0.08; // Reduced from 0.15 to 0.08 for slower player movement
-
-        // Setup camera position to see more of the stage
-        this.camera.position.set(15, 20, 35); // Moved right, back and up for better view
-        this.camera.lookAt(0, 0, 0);
+        this.createReplayUI();
+        this.createOpponentUI();
+
+        this.playerCount = loadJSON(PLAYERS_KEY, 1) === 2 ? 2 : 1; // Co-op on one screen with 2
+
+        // A difficulty from the URL wins over the one last picked on the title screen
+        try {
+            this.difficulty = parseDifficulty(options.difficulty ?? loadJSON(DIFFICULTY_KEY, 'normal'));
+        } catch (error) {
+            console.warn('Falling back to Normal difficulty:', error);
+            this.difficulty = parseDifficulty('normal');
+        }
+
+        // Game rules live in the simulation; this class only renders it
+        this.sim = this.createSimulation();
+        this.stats = new GameStats(this.sim); // Results and I.Q. rating
+        this.effectsRandom = new Random(this.sim.seed).fork('effects'); // Particles never consume gameplay randomness
+        this.cols = this.sim.cols;
+        this.cubeSize = this.sim.cubeSize;
+        this.cubeViews = new Map(); // Map of cube id -> Cube
+        this.markMeshes = new Map(); // Player index -> mark mesh
+        this.advantageMarkers = new Map(); // Map of spot key -> 3x3 marker meshes
+        this.muted = false; // Ignore simulation events while fast-seeking a replay
+        this.replay = null; // ReplayPlayer while watching a recorded run
+        this.versus = null; // Versus lobby or game, see joinVersus()
+        this.demo = null; // Autoplayer demo, see startDemo()
+        this.state = null; // One of GameState
+        this.accumulator = 0; // Real time not yet consumed by fixed simulation steps
+        this.lastFrameTime = null;
+        this.previousPlayers = []; // State before the last step, for render interpolation
+        this.previousCubes = new Map();
+
+        // Transient effects live in their own group so a restart can sweep them away
+        this.effects = new THREE.Group();
+        this.scene.add(this.effects);
+        this.animations = new AnimationManager();
+        this.sound = new SoundEngine(); // Synthesized effects and music, see sound.js
+
+        // Camera modes, the classic view by default
+        this.cameraController = new CameraController(this.camera, loadJSON(CAMERA_KEY, 'classic'));
 
         // Lighting
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
@@ -75,11 +144,23 @@ export class Game {
 
         // Initialize game
         this.initStage();
+        this.bindSimulation();
+        this.recorder = new InputRecorder(this.sim);
         this.setupControls();
-        this.startLevel();
+        this.showTitle();
+        if (options.autoplay !== undefined) {
+            this.startDemo(options.autoplay || undefined);
+        }
         this.animate();
         this.updateUI();
 
+        // Save when the tab is hidden, it may never come back
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.autosave();
+            }
+        });
+
         // Handle window resize
         window.addEventListener('resize', () => {
             this.camera.aspect = window.innerWidth / window.innerHeight;
@@ -88,14 +169,20 @@ export class Game {
         });
     }
 
-    createPlayer() {
+    // One character per simulation player, rebuilt with the scene because the
+    // number of players can change between games
+    createPlayers() {
+        this.playerViews?.forEach(view => this.scene.remove(view.group));
+        this.playerViews = this.sim.players.map((player, index) => this.createPlayer(PLAYER_COLORS[index]));
+    }
+
+    createPlayer(shirtColor) {
         // Create a group to hold all player parts
-        this.player = new THREE.Group();
-        this.lastDirection = 'down'; // Track player direction
+        const group = new THREE.Group();
 
         // Body material
         const bodyMaterial = new THREE.MeshPhongMaterial({ 
-            color: 0xffffff, // White shirt
+            color: shirtColor, // See PLAYER_COLORS
             emissive: 0x222222,
             emissiveIntensity: 0.2
         });
@@ -111,7 +198,7 @@ export class Game {
         });
 
         // Create body parts with names for easy reference
-        this.playerParts = {
+        const parts = {
             head: new THREE.Mesh(
                 new THREE.BoxGeometry(0.3, 0.3, 0.3),
                 headMaterial
@@ -139,456 +226,663 @@ export class Game {
         };
 
         // Set initial positions
-        this.playerParts.head.position.y = 0.8;
-        this.playerParts.body.position.y = 0.4;
-        this.playerParts.leftLeg.position.set(-0.1, 0.2, 0);
-        this.playerParts.rightLeg.position.set(0.1, 0.2, 0);
-        this.playerParts.leftArm.position.set(-0.26, 0.4, 0);
-        this.playerParts.rightArm.position.set(0.26, 0.4, 0);
+        parts.head.position.y = 0.8;
+        parts.body.position.y = 0.4;
+        parts.leftLeg.position.set(-0.1, 0.2, 0);
+        parts.rightLeg.position.set(0.1, 0.2, 0);
+        parts.leftArm.position.set(-0.26, 0.4, 0);
+        parts.rightArm.position.set(0.26, 0.4, 0);
 
         // Enable shadows
-        Object.values(this.playerParts).forEach(part => {
+        Object.values(parts).forEach(part => {
             part.castShadow = true;
         });
 
         // Add all parts to the player group
-        Object.values(this.playerParts).forEach(part => {
-            this.player.add(part);
+        Object.values(parts).forEach(part => {
+            group.add(part);
         });
 
-        // Set initial position
-        this.player.position.set(0.5, 0, this.rows/2 - 1.5);
-        this.player.castShadow = true;
-        this.player.receiveShadow = true;
+        group.castShadow = true;
+        group.receiveShadow = true;
 
         // Add the player to the scene
-        this.scene.add(this.player);
+        this.scene.add(group);
+        return { group, parts, color: shirtColor, lastDirection: 'down' };
     }
 
-    updatePlayerDirection(newX, newZ, currentX, currentZ) {
-        if (!this.playerParts) return;
-
-        let direction = this.lastDirection;
-        const dx = newX - currentX;
-        const dz = newZ - currentZ;
+    updatePlayerDirection(view, direction) {
+        const { group, parts } = view;
 
-        // Determine direction based on movement
-        if (Math.abs(dx) > Math.abs(dz)) {
-            // Horizontal movement is dominant
-            direction = dx > 0 ? 'right' : 'left';
-        } else if (Math.abs(dz) > 0) {
-            // Vertical movement is dominant
-            direction = dz > 0 ? 'down' : 'up';
-        }
-
-        if (direction !== this.lastDirection) {
+        if (direction !== view.lastDirection) {
             // Update character appearance based on direction
             switch (direction) {
                 case 'down':
-                    this.player.rotation.y = 0;
-                    this.playerParts.body.scale.z = 0.2;
-                    this.playerParts.body.scale.x = 1;
+                    group.rotation.y = 0;
+                    parts.body.scale.z = 0.2;
+                    parts.body.scale.x = 1;
                     break;
                 case 'up':
-                    this.player.rotation.y = Math.PI;
-                    this.playerParts.body.scale.z = 0.2;
-                    this.playerParts.body.scale.x = 1;
+                    group.rotation.y = Math.PI;
+                    parts.body.scale.z = 0.2;
+                    parts.body.scale.x = 1;
                     break;
                 case 'left':
-                    this.player.rotation.y = -Math.PI / 2;
-                    this.playerParts.body.scale.z = 1;
-                    this.playerParts.body.scale.x = 0.2;
+                    group.rotation.y = -Math.PI / 2;
+                    parts.body.scale.z = 1;
+                    parts.body.scale.x = 0.2;
                     break;
                 case 'right':
-                    this.player.rotation.y = Math.PI / 2;
-                    this.playerParts.body.scale.z = 1;
-                    this.playerParts.body.scale.x = 0.2;
+                    group.rotation.y = Math.PI / 2;
+                    parts.body.scale.z = 1;
+                    parts.body.scale.x = 0.2;
                     break;
             }
-            this.lastDirection = direction;
+            view.lastDirection = direction;
         }
     }
 
-    updatePlayer() {
-        if (this.isGameOver) return;
-
-        const currentX = this.player.position.x;
-        const currentZ = this.player.position.z;
-        let newX = currentX;
-        let newZ = currentZ;
-
-        // Allow smooth movement in all directions using both WASD and arrow keys
-        if (this.keys.w || this.keys.arrowup) {
-            newZ -= this.playerSpeed; // Move up
-        }
-        if (this.keys.s || this.keys.arrowdown) {
-            newZ += this.playerSpeed; // Move down
-        }
-        if (this.keys.a || this.keys.arrowleft) {
-            newX -= this.playerSpeed; // Move left
-        }
-        if (this.keys.d || this.keys.arrowright) {
-            newX += this.playerSpeed; // Move right
-        }
-
-        // Keep player within bounds and aligned to grid
-        newX = Math.max(-this.cols/2 + 0.5, Math.min(this.cols/2 - 0.5, newX));
-        newZ = Math.max(-this.rows/2 + 0.5, Math.min(this.rows/2 - 0.5, newZ));
+    // Remember positions before a simulation step so rendering can blend between ticks
+    capturePreviousState() {
+        this.previousPlayers = this.sim.players.map(player => ({ x: player.x, z: player.z }));
+        this.previousCubes = new Map(this.sim.cubes.map(cube => [
+            cube.id,
+            { z: cube.z, progress: cube.roll ? cube.roll.progress : 0 }
+        ]));
+    }
 
-        // Check for collision with stationary cubes
-        const wouldCollide = this.cubes.some(cube => {
-            if (this.rollingCubes.has(cube)) return false; // Ignore rolling cubes
-            const cubePos = cube.getPosition();
-            
-            // Calculate the grid positions
-            const playerGridX = Math.round(newX - 0.5) + 0.5;
-            const playerGridZ = Math.round(newZ - 0.5) + 0.5;
-            const cubeGridX = Math.round(cubePos.x - 0.5) + 0.5;
-            const cubeGridZ = Math.round(cubePos.z - 0.5) + 0.5;
-            
-            // Check if they occupy the same grid cell
-            return playerGridX === cubeGridX && playerGridZ === cubeGridZ;
+    // alpha is how far real time has moved past the last simulation step, in steps
+    updatePlayer(alpha = 1) {
+        const sim = this.sim;
+        // Everyone is blown away when the game is lost, crushed players sit out the wave
+        const standing = !sim.isGameOver || sim.gameOverReason === 'complete' || sim.gameOverReason === 'won';
+        sim.players.forEach((player, index) => {
+            const view = this.playerViews[index];
+            const { x, z, direction } = player;
+            const previous = this.previousPlayers[index] ?? player;
+            view.group.visible = standing && !player.crushed;
+            this.updatePlayerDirection(view, direction);
+            view.group.position.set(
+                previous.x + (x - previous.x) * alpha,
+                0, // Keep y at 0 to stay on surface
+                previous.z + (z - previous.z) * alpha
+            );
         });
+    }
 
-        // If would collide, keep current position
-        if (!wouldCollide) {
-            // Update direction before moving
-            this.updatePlayerDirection(newX, newZ, currentX, currentZ);
+    updateCubes(alpha = 1) {
+        this.sim.cubes.forEach(cube => {
+            const view = this.cubeViews.get(cube.id);
+            if (!view) return;
 
-            // Update position (keep y at 0 to stay on surface)
-            this.playerPosition.x = newX;
-            this.playerPosition.z = newZ;
-            this.player.position.set(newX, 0, newZ);
-        }
+            const previous = this.previousCubes.get(cube.id);
+            const z = previous ? previous.z + (cube.z - previous.z) * alpha : cube.z;
+            view.mesh.position.set(cube.x, cube.y, z);
 
-        // Check if any rolling cube has rolled onto the player
-        const playerKey = `${Math.round(this.player.position.x - 0.5) + 0.5},${Math.round(this.player.position.z - 0.5) + 0.5}`;
-        const isPlayerCrushed = this.cubes.some(cube => {
-            if (!this.rollingCubes.has(cube)) return false; // Only check rolling cubes
-            const cubePos = cube.getPosition();
-            const cubeKey = `${Math.round(cubePos.x - 0.5) + 0.5},${Math.round(cubePos.z - 0.5) + 0.5}`;
-            return cubeKey === playerKey;
+            // Rolling rotation follows the roll progress
+            let progress = 0;
+            if (cube.roll) {
+                const previousProgress = previous ? previous.progress : cube.roll.progress;
+                progress = previousProgress + (cube.roll.progress - previousProgress) * alpha;
+            }
+            view.mesh.rotation.set(-Math.PI * 2 * progress, 0, 0);
         });
-
-        if (isPlayerCrushed) {
-            this.handlePlayerDeath();
-        }
     }
 
     initStage() {
         // Create stage base
-        const stageGeometry = new THREE.BoxGeometry(this.cols * this.cubeSize, 0.5, this.rows * this.cubeSize);
+        const stageGeometry = new THREE.BoxGeometry(this.cols * this.cubeSize, 0.5, this.sim.rows * this.cubeSize);
         const stageMaterial = new THREE.MeshPhongMaterial({ 
             color: 0x808080,
             transparent: true,
             opacity: 0.9
         });
         this.stage = new THREE.Mesh(stageGeometry, stageMaterial);
-        this.stage.position.set(0, -0.25, 0);
+        this.stage.position.set(0, -0.25, this.sim.stageCenterZ);
         this.stage.receiveShadow = true;
         this.scene.add(this.stage);
 
         // Create player
-        this.createPlayer();
+        this.createPlayers();
     }
 
-    setupControls() {
-        this.keys = {
-            'w': false,
-            'a': false,
-            's': false,
-            'd': false,
-            'arrowup': false,
-            'arrowdown': false,
-            'arrowleft': false,
-            'arrowright': false,
-            ' ': false,  // Space key
-            'backspace': false
-        };
+    bindSimulation() {
+        const sim = this.sim;
+        const on = (event, handler) => sim.on(event, (...args) => {
+            if (!this.muted) handler(...args);
+        });
 
-        this.lastKeyPress = 0;
-        const KEY_DELAY = 100;
+        on('reset', () => this.clearScene());
 
-        window.addEventListener('keydown', (e) => {
-            const key = e.key.toLowerCase();
-            if (this.keys.hasOwnProperty(key)) {
-                this.keys[key] = true;
-                
-                // Only apply delay to space and backspace keys
-                if (key === ' ' || key === 'backspace') {
-                    const now = Date.now();
-                    if (now - this.lastKeyPress > KEY_DELAY) {
-                        this.lastKeyPress = now;
-                        
-                        if (key === ' ') {
-                            this.toggleMark();
-                        } else if (key === 'backspace') {
-                            if (this.advantageSpots.size > 0) {
-                                this.triggerAllAdvantageSpots();
-                            }
-                        }
-                    }
-                }
+        on('cubeAdded', cube => this.addCubeView(cube));
+
+        on('cubeRemoved', (cube, reason) => {
+            const view = this.cubeViews.get(cube.id);
+            if (!view) return;
+            this.cubeViews.delete(cube.id);
+
+            if (reason === 'fell') {
+                this.effects.add(view.mesh);
+                view.startFalling(this.animations);
+                return;
+            }
+            if (reason === 'captured' || reason === 'cleared') {
+                this.createClearEffect(view.getPosition());
+                this.sound.play(getCubeType(cube.type).costsRow ? 'forbidden' : 'capture');
             }
+            this.scene.remove(view.mesh);
         });
 
-        window.addEventListener('keyup', (e) => {
-            const key = e.key.toLowerCase();
-            if (this.keys.hasOwnProperty(key)) {
-                this.keys[key] = false;
-            }
+        on('cubesRolled', () => this.sound.play('roll'));
+
+        on('markPlaced', (mark, player) => {
+            this.createMarkMesh(mark, player);
+            this.sound.play('mark');
         });
-    }
 
-    startLevel() {
-        this.currentWave = 0;
-        this.generateWave();
-    }
+        on('markActivated', (mark, player) => {
+            this.createClearAnimation(mark);
+            this.sound.play('activate');
+            this.removeMarkMesh(player);
+            this.updateUI();
+        });
+
+        on('playerCrushed', player => {
+            this.removeMarkMesh(player);
+            this.explodePlayer(this.playerViews[player]);
+            this.sound.play('crushed');
+        });
+
+        // Back at the start, not sliding over from where they were crushed
+        on('playerRespawned', player => {
+            this.previousPlayers[player] = null;
+        });
+
+        on('advantageAdded', spot => {
+            this.createAdvantageMarker(spot);
+            this.sound.play('advantage');
+        });
+
+        on('advantageTriggered', (spot, cells, combo) => {
+            cells.forEach(cell => this.createClearAnimation(cell));
+            this.sound.play('blast', { combo });
+            if (combo > 1) {
+                this.showCombo(combo);
+            }
 
-    generateWave() {
-        // Clear existing cubes
-        this.cubes.forEach(cube => {
-            this.scene.remove(cube.mesh);
-            if (cube.marker) {
-                this.scene.remove(cube.marker);
+            // Remove the triggered advantage spot markers
+            const markers = this.advantageMarkers.get(spot.key);
+            if (markers) {
+                markers.forEach(marker => this.scene.remove(marker));
             }
+            this.advantageMarkers.delete(spot.key);
         });
-        this.cubes = [];
 
-        // Generate new wave based on level
-        const numRows = Math.min(3 + this.level, 14);
-        const rowLength = this.cols; // Use full width of the stage
+        on('comboEnded', () => this.endCombo());
+
+        on('scoreChanged', () => {
+            this.updateUI();
+            this.flashScore();
+        });
 
-        for (let i = 0; i < numRows; i++) {
-            for (let j = 0; j < rowLength; j++) {
-                const type = this.getRandomCubeType();
-                const cube = new Cube(type, {
-                    x: j - Math.floor(rowLength/2) + 0.5, // Added 0.5 to align with grid
-                    y: 0.5,
-                    z: -this.rows/2 - i - 0.5 // Added 0.5 to align with grid
+        on('levelChanged', level => {
+            this.updateUI();
+            if (!this.replay) {
+                this.setState(GameState.LEVEL_TRANSITION);
+                this.showMessage(`LEVEL ${level}`, 'white');
+                this.animations.wait(LEVEL_TRANSITION_MS).promise.then(completed => {
+                    // Cancelled when the game was restarted during the banner, or
+                    // a versus opponent went out meanwhile
+                    if (!completed || this.state !== GameState.LEVEL_TRANSITION) return;
+                    this.hideMessage();
+                    this.setState(GameState.PLAYING);
                 });
-                this.scene.add(cube.mesh);
-                this.cubes.push(cube);
             }
-        }
+        });
+        on('waveStarted', () => {
+            this.updateUI();
+            this.autosave();
+        });
+
+        on('cubeMissed', () => {
+            this.updateUI();
+            this.sound.play('miss');
+        });
+
+        on('rowLost', frontRowZ => {
+            this.animateRowFallAway(frontRowZ);
+            this.updateUI();
+            this.sound.play('rowLost');
+        });
+
+        on('rowGained', frontRowZ => {
+            this.animateRowRise(frontRowZ);
+            this.updateUI();
+            this.sound.play('rowGained');
+        });
+
+        on('waveCompleted', (level, wave, result) => {
+            if (result.perfect) {
+                this.showAward(`PERFECT +${result.bonus}`, '#ffd700');
+                this.sound.play('perfect');
+            } else if (result.clean) {
+                this.showAward(`CLEAN +${result.bonus}`, '#00ff00');
+                this.sound.play('clean');
+            } else if (result.timeBonus > 0) {
+                this.showAward(`TIME +${result.timeBonus}`, '#00ffff');
+            }
+        });
+
+        on('gameOver', reason => {
+            if (!this.replay) {
+                this.setState(GameState.GAME_OVER);
+            }
+            // Versus games and demos leave the saved game and the high scores alone
+            if (!this.replay && !this.versus && !this.demo) {
+                removeItem(SAVE_KEY);
+                this.newHighScore = qualifiesForHighScore(highScoreCategory(sim), sim.score);
+            }
+            if (this.demo) {
+                this.finishDemo();
+            }
+            if (reason === 'complete' || reason === 'won') {
+                this.sound.play('perfect');
+                this.showResults(reason);
+            } else {
+                if (reason !== 'crushed') {
+                    this.sound.play('gameOver'); // The crush already made its own noise
+                }
+                this.handlePlayerDeath();
+            }
+        });
     }
 
-    getRandomCubeType() {
-        const rand = Math.random();
-        if (rand < 0.7) return 'normal';
-        if (rand < 0.85) return 'advantage';
-        return 'forbidden';
+    // Swap in another simulation (e.g. a replay) and redraw everything from its state.
+    // stats carries over the statistics of a run resumed from a save.
+    loadSimulation(sim, stats = []) {
+        this.sim.removeAllListeners();
+        this.sim = sim;
+        this.stats = new GameStats(sim, stats);
+        this.newHighScore = false; // Set when the run just ended with a qualifying score
+        this.effectsRandom = new Random(sim.seed).fork('effects');
+        this.bindSimulation();
+        this.rebuildScene();
     }
 
-    toggleMark() {
-        // If a cell is already marked, activate it
-        if (this.markedCells.size > 0) {
-            const [key, marker] = Array.from(this.markedCells.entries())[0]; // Only one mark allowed
-            const [gridX, gridZ] = key.split(',').map(Number);
-    
-            // Create animation for the cell
-            this.createClearAnimation({ x: gridX, z: gridZ });
-    
-            // Check for cubes to clear
-            const cubesCleared = [];
-            let pointsGained = 0;
-    
-            this.cubes.forEach(cube => {
-                const pos = cube.getPosition();
-                const cubeKey = `${Math.floor(pos.x) + 0.5},${Math.floor(pos.z)}`;
-    
-                if (cubeKey === key) {
-                    if (cube.type === 'forbidden') {
-                        this.handleForbiddenCube();
-                    } else {
-                        pointsGained += 100;
-    
-                        if (cube.type === 'advantage') {
-                            const alignedX = Math.floor(pos.x) + 0.5;
-                            const alignedZ = Math.floor(pos.z);
-                            this.createAdvantageMarker(alignedX, alignedZ);
-                        }
-                    }
-                    cubesCleared.push(cube);
-                }
-            });
-    
-            // Clear cubes
-            cubesCleared.forEach(cube => {
-                this.createClearEffect(cube.getPosition());
-                this.scene.remove(cube.mesh);
-            });
-    
-            // Update state
-            this.cubes = this.cubes.filter(cube => !cubesCleared.includes(cube));
-            if (pointsGained > 0) {
-                this.score += pointsGained;
-                this.updateUI();
-                this.flashScore();
+    addCubeView(cube) {
+        const view = new Cube(cube.type, cube);
+        this.cubeViews.set(cube.id, view);
+        this.scene.add(view.mesh);
+    }
+
+    clearScene() {
+        this.cubeViews.forEach(view => this.scene.remove(view.mesh));
+        this.cubeViews.clear();
+
+        this.markMeshes.forEach(mesh => this.scene.remove(mesh));
+        this.markMeshes.clear();
+
+        this.advantageMarkers.forEach(markers => markers.forEach(marker => this.scene.remove(marker)));
+        this.advantageMarkers.clear();
+
+        this.hideMessage();
+        this.hideAward();
+        this.hideGarbageBanner();
+        this.hideCombo();
+
+        this.resizeStage();
+    }
+
+    rebuildScene() {
+        this.clearScene();
+        this.createPlayers();
+        this.previousPlayers = [];
+        this.previousCubes.clear();
+        this.accumulator = 0;
+
+        const sim = this.sim;
+        sim.cubes.forEach(cube => this.addCubeView(cube));
+        sim.players.forEach((player, index) => {
+            if (player.mark) {
+                this.createMarkMesh(player.mark, index);
             }
-    
-            // Remove the mark
-            this.scene.remove(marker);
-            this.markedCells.clear();
-    
-        } else {
-            // Mark a new cell under the player
-            const playerX = Math.floor(this.player.position.x);
-            const playerZ = Math.floor(this.player.position.z);
-            const gridX = playerX + 0.5;
-            const gridZ = playerZ;
-            const key = `${gridX},${gridZ}`;
-    
-            // Create and store the mark
-            const markerGeometry = new THREE.BoxGeometry(this.cubeSize, 0.1, this.cubeSize);
-            const markerMaterial = new THREE.MeshPhongMaterial({
-                color: 0xff0000,
-                transparent: true,
-                opacity: 0.7,
-                emissive: 0xff0000,
-                emissiveIntensity: 0.5
-            });
-            const marker = new THREE.Mesh(markerGeometry, markerMaterial);
-            marker.position.set(gridX, 0.01, gridZ);
-            this.scene.add(marker);
-            this.markedCells.set(key, marker);
-    
-            // Flash feedback
-            const flashGeometry = new THREE.BoxGeometry(this.cubeSize, 0.2, this.cubeSize);
-            const flashMaterial = new THREE.MeshPhongMaterial({
-                color: 0xff0000,
-                transparent: true,
-                opacity: 0.3
-            });
-            const flash = new THREE.Mesh(flashGeometry, flashMaterial);
-            flash.position.copy(marker.position);
-            this.scene.add(flash);
-    
-            const animate = () => {
-                if (flash.material.opacity > 0) {
-                    flash.material.opacity -= 0.02;
-                    flash.position.y += 0.02;
-                    requestAnimationFrame(animate);
-                } else {
-                    this.scene.remove(flash);
-                    flash.geometry.dispose();
-                    flash.material.dispose();
-                }
-            };
-            animate();
+        });
+        sim.advantageSpots.forEach(spot => this.createAdvantageMarker(spot));
+
+        if (sim.isGameOver) {
+            this.showResults(sim.gameOverReason);
         }
+
+        this.updatePlayer();
+        this.updateCubes();
+        this.updateUI();
     }
-    
-    triggerAllAdvantageSpots() {
-        if (this.advantageSpots.size === 0) return;
-
-        // Store all spots to trigger
-        const spotsToTrigger = Array.from(this.advantageSpots.keys());
-        
-        // Process each spot in sequence
-        for (const key of spotsToTrigger) {
-            const [centerX, centerZ] = key.split(',').map(Number);
-            let pointsGained = 0;
-            const cubesCleared = [];
-            const cellsToAnimate = new Set();
-            let forbiddenCount = 0;
-
-            // Check for cubes in the 3x3 area
-            this.cubes.forEach(cube => {
-                const pos = cube.getPosition();
-                const cubeX = Math.round(pos.x - 0.5) + 0.5;
-                const cubeZ = Math.round(pos.z - 0.5) + 0.5;
-                const dx = Math.abs(cubeX - centerX);
-                const dz = Math.abs(cubeZ - centerZ);
-                
-                if (dx <= 1 && dz <= 1) {
-                    if (cube.type === 'forbidden') {
-                        forbiddenCount++;
-                    } else {
-                        pointsGained += 200;
-                    }
-                    cubesCleared.push(cube);
-                    cellsToAnimate.add(`${cubeX},${cubeZ}`);
-                }
-            });
 
-            // Apply forbidden cube penalties
-            for (let i = 0; i < forbiddenCount; i++) {
-                this.handleForbiddenCube();
+    setupControls() {
+        // Browsers only start audio from a user gesture. Any input also holds
+        // off the attract mode.
+        this.lastInputTime = performance.now();
+        ['keydown', 'pointerdown'].forEach(type => window.addEventListener(type, () => {
+            this.sound.unlock();
+            this.lastInputTime = performance.now();
+        }));
+        window.addEventListener('pointerdown', e => {
+            // Buttons like LOAD REPLAY still work during a demo
+            if (this.demo && !(e.target instanceof HTMLButtonElement)) {
+                this.leaveDemo();
             }
+        });
 
-            // Clear the cubes
-            cubesCleared.forEach(cube => {
-                this.createClearEffect(cube.getPosition());
-                this.scene.remove(cube.mesh);
-                if (cube.marker) {
-                    this.scene.remove(cube.marker);
+        // The first controller plays player 1, the second one player 2 in co-op games
+        this.gamepads = [new GamepadInput(), new GamepadInput({ index: 1 })];
+        this.padHeld = [{}, {}]; // Controller actions held down per player, polled every frame
+        this.walkTarget = null; // Cell the player walks to after a tap on the stage
+
+        // On-screen joystick and buttons, plus tap-to-walk on the stage
+        this.touch = null;
+        if (isTouchDevice()) {
+            this.touch = new TouchControls({ onAction: action => this.pressAction(action) });
+            this.touch.visible = false;
+            this.raycaster = new THREE.Raycaster();
+            this.renderer.domElement.style.touchAction = 'none';
+            this.renderer.domElement.addEventListener('pointerdown', e => {
+                if (e.pointerType === 'touch') {
+                    this.walkTo(e.clientX, e.clientY);
                 }
             });
+        }
 
-            // Update cubes array
-            this.cubes = this.cubes.filter(cube => !cubesCleared.includes(cube));
+        this.keys = new Set(); // Bound keys held down while playing
+        this.rebinding = null; // { action, slot } while the controls screen waits for a key
 
-            // Create clear animations
-            cellsToAnimate.forEach(key => {
-                const [x, z] = key.split(',').map(Number);
-                this.createClearAnimation({ x, z });
-            });
+        this.lastKeyPress = {}; // Action -> time it last fired, per action so players don't block each other
+        const KEY_DELAY = 100;
+        const PRESS_ACTIONS = {
+            mark: ['mark', 0],
+            triggerAdvantage: ['advantage', 0],
+            p2Mark: ['mark', 1],
+            p2TriggerAdvantage: ['advantage', 1]
+        };
 
-            // Remove the triggered advantage spot markers
-            const markers = this.advantageSpots.get(key);
-            if (markers) {
-                markers.forEach(marker => this.scene.remove(marker));
+        window.addEventListener('keydown', (e) => {
+            if (e.target instanceof HTMLInputElement) return; // Typing a name, not playing
+            const key = e.key.toLowerCase();
+            const action = this.bindings.actionFor(key);
+            if (action || this.rebinding) {
+                e.preventDefault(); // Backspace would navigate back, space and arrows scroll
+            }
+
+            if (this.rebinding) {
+                this.finishRebinding(key);
+                return;
             }
-            this.advantageSpots.delete(key);
+            if (this.demo) {
+                e.preventDefault();
+                this.demoKey(key);
+                return;
+            }
+            if (action === 'mute' && !e.repeat) {
+                this.sound.toggleMute();
+                return;
+            }
+            if (action === 'camera' && !e.repeat) {
+                this.cycleCamera();
+                return;
+            }
+            if (this.replay) return; // Replays are driven by the recorded inputs
+
+            // Game flow keys
+            if (action === 'pause' && !e.repeat) {
+                this.togglePause();
+                return;
+            }
+            if (action === 'restart' && (this.state === GameState.PAUSED || this.state === GameState.GAME_OVER)) {
+                this.restart();
+                return;
+            }
+            if (key === 'enter' && (this.state === GameState.TITLE || this.state === GameState.GAME_OVER)) {
+                this.restart();
+                return;
+            }
+            if (this.state !== GameState.PLAYING || !action) return;
+
+            this.keys.add(key);
 
-            // Update score
-            if (pointsGained > 0) {
-                this.score += pointsGained;
-                this.updateUI();
-                this.flashScore();
+            // Only apply delay to the mark and trigger keys
+            if (PRESS_ACTIONS[action]) {
+                const now = Date.now();
+                if (now - (this.lastKeyPress[action] ?? 0) > KEY_DELAY) {
+                    this.lastKeyPress[action] = now;
+                    this.pressAction(...PRESS_ACTIONS[action]);
+                }
             }
+        });
+
+        window.addEventListener('keyup', (e) => {
+            this.keys.delete(e.key.toLowerCase());
+        });
+    }
+
+    // Whether any key bound to the action is held down
+    keyHeld(action) {
+        return this.bindings.keysFor(action).some(key => this.keys.has(key));
+    }
+
+    applyMoveInput() {
+        // Allow movement in all directions using the bound keys, the gamepad and touch
+        const [pad, pad2] = this.padHeld;
+        const touch = this.touch && this.state === GameState.PLAYING ? this.touch.held : {};
+        const input = {
+            up: this.keyHeld('moveUp') || pad.up || touch.up,
+            down: this.keyHeld('moveDown') || pad.down || touch.down,
+            left: this.keyHeld('moveLeft') || pad.left || touch.left,
+            right: this.keyHeld('moveRight') || pad.right || touch.right
+        };
+
+        // Steering by hand cancels a tap-to-walk
+        if (input.up || input.down || input.left || input.right) {
+            this.walkTarget = null;
+        }
+        const walk = this.walkDirection();
+        this.sim.setMoveInput({
+            up: input.up || walk.up,
+            down: input.down || walk.down,
+            left: input.left || walk.left,
+            right: input.right || walk.right
+        });
+
+        // Player 2 has their own keys and the second controller
+        if (this.sim.playerCount === 2) {
+            this.sim.setMoveInput({
+                up: this.keyHeld('p2MoveUp') || pad2.up,
+                down: this.keyHeld('p2MoveDown') || pad2.down,
+                left: this.keyHeld('p2MoveLeft') || pad2.left,
+                right: this.keyHeld('p2MoveRight') || pad2.right
+            }, 1);
         }
+
+        this.sim.setFastForward(this.keyHeld('fastForward') || pad.fast || pad2.fast || touch.fast);
     }
 
-    createAdvantageMarker(x, z) {
-        const key = `${x},${z}`;
-        const markers = [];
+    // Discrete actions shared by the keyboard, gamepads and the touch buttons.
+    // Mark and advantage act for the given player.
+    pressAction(action, player = 0) {
+        if (action === 'camera') {
+            this.cycleCamera(); // Only changes the view, so it works in replays too
+            return;
+        }
+        if (this.replay) return; // Replays are driven by the recorded inputs
 
-        // Create 3x3 grid of markers
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dz = -1; dz <= 1; dz++) {
-                const markerX = x + dx;
-                const markerZ = z + dz;
-                
-                // Skip if outside stage bounds
-                if (markerX < -this.cols/2 || markerX > this.cols/2 ||
-                    markerZ < -this.rows/2 || markerZ > this.rows/2) {
-                    continue;
-                }
+        if (action === 'pause') {
+            if (this.state === GameState.TITLE || this.state === GameState.GAME_OVER) {
+                this.restart();
+            } else {
+                this.togglePause();
+            }
+            return;
+        }
+        if (this.state !== GameState.PLAYING) return;
 
-                const markerGeometry = new THREE.BoxGeometry(this.cubeSize, 0.1, this.cubeSize);
-                const markerMaterial = new THREE.MeshPhongMaterial({
-                    color: 0x00ff00,
-                    transparent: true,
-                    opacity: 0.7,
-                    emissive: 0x00ff00,
-                    emissiveIntensity: 0.5
-                });
-                const marker = new THREE.Mesh(markerGeometry, markerMaterial);
-                marker.position.set(markerX, 0.01, markerZ);
-                this.scene.add(marker);
-                markers.push(marker);
+        if (player >= this.sim.playerCount) return;
+
+        if (action === 'mark') {
+            this.sim.toggleMark(player);
+        } else if (action === 'advantage') {
+            this.sim.triggerAllAdvantageSpots(player);
+        }
+    }
+
+    // Picks the stage cell under a screen point as the walk target
+    walkTo(clientX, clientY) {
+        if (this.replay || this.demo || this.state !== GameState.PLAYING) return;
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+        const hit = this.raycaster.ray.intersectPlane(GROUND_PLANE, new THREE.Vector3());
+        if (!hit) return;
+
+        const grid = this.sim.grid;
+        const col = grid.toCol(hit.x);
+        const row = grid.toRow(hit.z);
+        if (!grid.inColumns(col) || row < 0 || row >= this.sim.rows) return; // Off the stage
+
+        this.walkTarget = { x: grid.toX(col), z: grid.toZ(row) };
+        this.walkFrom = null;
+    }
+
+    // Directions that take the player toward the walk target. Called once per
+    // tick; the walk ends on arrival or when a cube stops the player.
+    walkDirection() {
+        const target = this.walkTarget;
+        if (!target) return {};
+
+        const player = this.sim.player;
+        const tolerance = 0.05; // Wider than one tick of movement, so the player always lands inside it
+        const dx = target.x - player.x;
+        const dz = target.z - player.z;
+        const arrived = Math.abs(dx) <= tolerance && Math.abs(dz) <= tolerance;
+        const blocked = this.walkFrom && this.walkFrom.x === player.x && this.walkFrom.z === player.z;
+        if (arrived || blocked) {
+            this.walkTarget = null;
+            return {};
+        }
+
+        this.walkFrom = { x: player.x, z: player.z };
+        return { up: dz < -tolerance, down: dz > tolerance, left: dx < -tolerance, right: dx > tolerance };
+    }
+
+    // Controller buttons act on the frame they go down, like a keydown
+    pollGamepad() {
+        this.gamepads.forEach((gamepad, player) => {
+            const { held, pressed } = gamepad.poll();
+            if (Object.values(pressed).some(Boolean)) {
+                this.lastInputTime = performance.now();
+                if (this.demo) {
+                    this.leaveDemo();
+                    return;
+                }
             }
+            if (this.replay) return; // Replays are driven by the recorded inputs
+            this.padHeld[player] = this.state === GameState.PLAYING ? held : {};
+
+            ['pause', 'mark', 'advantage', 'camera'].forEach(action => {
+                if (pressed[action]) {
+                    this.pressAction(action, player);
+                }
+            });
+        });
+    }
+
+    removeMarkMesh(player) {
+        const mesh = this.markMeshes.get(player);
+        if (mesh) {
+            this.scene.remove(mesh);
+            this.markMeshes.delete(player);
         }
+    }
+
+    createMarkMesh(mark, player = 0) {
+        // Create and store the mark
+        const color = MARK_COLORS[player];
+        const markerGeometry = new THREE.BoxGeometry(this.cubeSize, 0.1, this.cubeSize);
+        const markerMaterial = new THREE.MeshPhongMaterial({
+            color,
+            transparent: true,
+            opacity: 0.7,
+            emissive: color,
+            emissiveIntensity: 0.5
+        });
+        const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+        marker.position.set(mark.x, 0.01, mark.z);
+        this.scene.add(marker);
+        this.markMeshes.set(player, marker);
+
+        // Flash feedback
+        const flashGeometry = new THREE.BoxGeometry(this.cubeSize, 0.2, this.cubeSize);
+        const flashMaterial = new THREE.MeshPhongMaterial({
+            color,
+            transparent: true,
+            opacity: 0.3
+        });
+        const flash = new THREE.Mesh(flashGeometry, flashMaterial);
+        flash.position.copy(marker.position);
+        this.effects.add(flash);
+
+        const startY = flash.position.y;
+        this.animations.tween({
+            duration: 250,
+            update: t => {
+                flash.material.opacity = 0.3 * (1 - t);
+                flash.position.y = startY + 0.3 * t;
+            },
+            onComplete: () => {
+                this.effects.remove(flash);
+                flash.geometry.dispose();
+                flash.material.dispose();
+            }
+        });
+    }
+
+    createAdvantageMarker(spot) {
+        const markers = [];
 
-        this.advantageSpots.set(key, markers);
+        // Create 3x3 grid of markers
+        spot.cells.forEach(cell => {
+            const markerGeometry = new THREE.BoxGeometry(this.cubeSize, 0.1, this.cubeSize);
+            const markerMaterial = new THREE.MeshPhongMaterial({
+                color: 0x00ff00,
+                transparent: true,
+                opacity: 0.7,
+                emissive: 0x00ff00,
+                emissiveIntensity: 0.5
+            });
+            const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+            marker.position.set(cell.x, 0.01, cell.z);
+            this.scene.add(marker);
+            markers.push(marker);
+        });
+    
+        this.advantageMarkers.set(spot.key, markers);
     }
 
     updateUI() {
-        this.levelElement.textContent = `LEVEL ${this.level}`;
-        this.scoreElement.textContent = `SCORE ${this.score}`;
-        this.rowsElement.textContent = `ROWS ${this.rows}`;
+        this.levelElement.textContent = `LEVEL ${this.sim.level}`;
+        // Co-op games also show what each player scored
+        const players = this.sim.players;
+        this.scoreElement.textContent = players.length > 1
+            ? `SCORE ${this.sim.score} (${players.map((player, index) => `P${index + 1} ${player.score}`).join(' / ')})`
+            : `SCORE ${this.sim.score}`;
+        // Rows still owed for missed cubes are taken when the wave ends
+        const missed = this.sim.waveMissed;
+        this.rowsElement.textContent = missed > 0 ? `ROWS ${this.sim.rows} (-${missed})` : `ROWS ${this.sim.rows}`;
+        this.seedElement.textContent = this.sim.puzzle
+            ? `SEED ${this.sim.seed}`
+            : `SEED ${this.sim.seed} - ${this.sim.difficulty.name.toUpperCase()}`;
+        this.parElement.textContent = this.sim.par ? `MARKS ${this.sim.waveMarks}/${this.sim.par}` : '';
     }
 
     flashScore() {
@@ -608,23 +902,23 @@ export class Game {
         });
         const animation = new THREE.Mesh(geometry, material);
         animation.position.set(position.x, 0.01, position.z);
-        this.scene.add(animation);
+        this.effects.add(animation);
 
         // Animate the effect
-        let scale = 1;
-        const animate = () => {
-            if (scale <= 1.5) {
-                scale += 0.1;
+        this.animations.tween({
+            duration: 100,
+            easing: Easing.easeOutQuad,
+            update: t => {
+                const scale = 1 + 0.5 * t;
                 animation.scale.set(scale, 1, scale);
-                animation.material.opacity = 0.8 * (1.5 - scale) / 0.5;
-                requestAnimationFrame(animate);
-            } else {
-                this.scene.remove(animation);
+                animation.material.opacity = 0.8 * (1 - t);
+            },
+            onComplete: () => {
+                this.effects.remove(animation);
                 animation.geometry.dispose();
                 animation.material.dispose();
             }
-        };
-        animate();
+        });
     }
 
     createClearEffect(position) {
@@ -642,288 +936,1466 @@ export class Game {
             
             // Set random initial position within cube bounds
             particle.position.set(
-                position.x + (Math.random() - 0.5) * 0.5,
-                position.y + (Math.random() - 0.5) * 0.5,
-                position.z + (Math.random() - 0.5) * 0.5
+                position.x + (this.effectsRandom.next() - 0.5) * 0.5,
+                position.y + (this.effectsRandom.next() - 0.5) * 0.5,
+                position.z + (this.effectsRandom.next() - 0.5) * 0.5
             );
             
             // Set random velocity
             particle.velocity = new THREE.Vector3(
-                (Math.random() - 0.5) * 0.2,
-                Math.random() * 0.2,
-                (Math.random() - 0.5) * 0.2
+                (this.effectsRandom.next() - 0.5) * 0.2,
+                this.effectsRandom.next() * 0.2,
+                (this.effectsRandom.next() - 0.5) * 0.2
             );
 
-            this.scene.add(particle);
+            this.effects.add(particle);
             particles.push(particle);
         }
 
         // Animate particles
-        const animate = () => {
-            if (particles.length === 0) return;
+        this.animations.add(dt => {
+            const frames = dt / TICK_MS; // Velocities are per 60Hz frame
 
             particles.forEach((particle, index) => {
-                particle.position.add(particle.velocity);
-                particle.material.opacity -= 0.02;
+                particle.position.addScaledVector(particle.velocity, frames);
+                particle.material.opacity -= 0.02 * frames;
 
                 if (particle.material.opacity <= 0) {
-                    this.scene.remove(particle);
+                    this.effects.remove(particle);
                     particle.geometry.dispose();
                     particle.material.dispose();
                     particles.splice(index, 1);
                 }
             });
 
-            requestAnimationFrame(animate);
-        };
-
-        animate();
+            return particles.length > 0;
+        });
     }
 
-    finishStageShrink() {
-        this.rows--;
-    
-        const zOffset = this.cubeSize / 2;
-    
-        const newStageGeometry = new THREE.BoxGeometry(this.cols * this.cubeSize, 0.5, this.rows * this.cubeSize);
+    resizeStage() {
+        // Resize the stage to match the simulation's remaining rows
+        const newStageGeometry = new THREE.BoxGeometry(this.cols * this.cubeSize, 0.5, this.sim.rows * this.cubeSize);
         this.stage.geometry.dispose();
         this.stage.geometry = newStageGeometry;
-    
-        this.stage.position.z -= zOffset;
-    
-        // Optional: regenerate grid if needed
-        // this.gridCells = [];
-    
-        if (this.rows < 5) {
-            this.isGameOver = true;
-            this.handlePlayerDeath();
-        }
+        this.stage.position.z = this.sim.stageCenterZ;
+        this.cameraController.reframe();
+    }
+
+    // Reverse of animateRowFallAway: a new row rises into place, then joins the stage
+    animateRowRise(frontRowZ) {
+        const riseDuration = 1000; // in ms
+        const riseDistance = 5;
+
+        const rowGeometry = new THREE.BoxGeometry(this.cols * this.cubeSize, 0.5, this.cubeSize);
+        const row = new THREE.Mesh(rowGeometry, this.stage.material.clone());
+        const endY = this.stage.position.y;
+        row.position.set(0, endY - riseDistance, frontRowZ);
+        row.material.opacity = 0;
+        this.effects.add(row);
+
+        return this.animations.tween({
+            duration: riseDuration,
+            easing: Easing.easeOutQuad,
+            update: (rise, progress) => {
+                row.position.y = endY - riseDistance * (1 - rise);
+                row.material.opacity = 0.9 * progress;
+            },
+            onComplete: () => {
+                this.effects.remove(row);
+                row.geometry.dispose();
+                row.material.dispose();
+                this.resizeStage();
+            }
+        }).promise;
     }
-    
 
     animateRowFallAway(frontRowZ) {
         const fallDuration = 1000; // in ms
         const fallDistance = 5;
     
-        // Collect objects in the front row
-        const cubesToRemove = this.cubes.filter(cube => Math.abs(cube.position.z - frontRowZ) < 0.01);
-        const gridCellsToRemove = this.gridCells.filter(cell => Math.abs(cell.position.z - frontRowZ) < 0.01);
+        // Detach the lost row as its own slab and shrink the stage underneath it
+        const rowGeometry = new THREE.BoxGeometry(this.cols * this.cubeSize, 0.5, this.cubeSize);
+        const row = new THREE.Mesh(rowGeometry, this.stage.material.clone());
+        row.position.set(0, this.stage.position.y, frontRowZ);
+        this.effects.add(row);
+        this.resizeStage();
     
         // Animate fall
-        const startTime = performance.now();
-    
-        const animateFall = (time) => {
-            const elapsed = time - startTime;
-            const progress = Math.min(elapsed / fallDuration, 1);
-            const yOffset = -fallDistance * progress;
-    
-            // Move cubes and cells down
-            for (const cube of cubesToRemove) {
-                cube.position.y = yOffset;
-            }
-            for (const cell of gridCellsToRemove) {
-                cell.position.y = yOffset;
-            }
-    
-            if (progress < 1) {
-                requestAnimationFrame(animateFall);
-            } else {
+        const startY = row.position.y;
+        return this.animations.tween({
+            duration: fallDuration,
+            easing: Easing.easeInQuad,
+            update: (fall, progress) => {
+                row.position.y = startY - fallDistance * fall;
+                row.material.opacity = 0.9 * (1 - progress);
+            },
+            onComplete: () => {
                 // Cleanup after animation
-                for (const cube of cubesToRemove) {
-                    this.scene.remove(cube);
-                    cube.geometry.dispose();
-                    cube.material.dispose();
-                    this.cubes.splice(this.cubes.indexOf(cube), 1);
-                }
-                for (const cell of gridCellsToRemove) {
-                    this.scene.remove(cell);
-                    cell.geometry.dispose();
-                    cell.material.dispose();
-                    this.gridCells.splice(this.gridCells.indexOf(cell), 1);
-                }
-    
-                // Now update the stage
-                this.finishStageShrink();
+                this.effects.remove(row);
+                row.geometry.dispose();
+                row.material.dispose();
             }
-        };
-    
-        requestAnimationFrame(animateFall);
-    }
-
-    handleForbiddenCube() {
-        this.score -= 1000;
-
-        const frontRowZ = this.stage.position.z + this.rows * this.cubeSize / 2 - this.cubeSize / 2;
-        this.animateRowFallAway(frontRowZ);
-        
-        // Update UI
-        this.updateUI();
-        this.flashScore();
-    
-        // Check if game should end due to too few rows
-        if (this.rows < 5) {
-            this.isGameOver = true;
-            this.handlePlayerDeath();
-        }
+        }).promise;
     }
 
     handlePlayerDeath() {
-        this.isGameOver = true;
-        
-        // Create death effect
-        const deathEffect = () => {
-            const particles = [];
-            const particleCount = 50;
-            const colors = [0xffffff, 0x000000, 0xffccaa]; // Colors matching player parts
-
-            for (let i = 0; i < particleCount; i++) {
-                const geometry = new THREE.BoxGeometry(0.1, 0.1, 0.1);
-                const material = new THREE.MeshPhongMaterial({
-                    color: colors[Math.floor(Math.random() * colors.length)],
-                    transparent: true,
-                    opacity: 1
-                });
-                const particle = new THREE.Mesh(geometry, material);
-                
-                // Distribute particles across player's height
-                particle.position.copy(this.player.position);
-                particle.position.y += Math.random() * 1.5; // Distribute across player height
-                
-                // Set random velocity
-                particle.velocity = new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.3,
-                    Math.random() * 0.3,
-                    (Math.random() - 0.5) * 0.3
-                );
-
-                this.scene.add(particle);
-                particles.push(particle);
-            }
-
-            // Hide player
-            this.player.visible = false;
-
-            // Animate particles
-            const animate = () => {
-                if (particles.length === 0 || !this.isGameOver) return;
-
-                particles.forEach((particle, index) => {
-                    particle.position.add(particle.velocity);
-                    particle.velocity.y -= 0.01; // Add gravity
-                    particle.rotation.x += 0.1;
-                    particle.rotation.z += 0.1;
-                    particle.material.opacity -= 0.02;
-
-                    if (particle.material.opacity <= 0) {
-                        this.scene.remove(particle);
-                        particle.geometry.dispose();
-                        particle.material.dispose();
-                        particles.splice(index, 1);
-                    }
-                });
+        // Players still standing go down with the stage, crushed ones already burst
+        this.sim.players.forEach((player, index) => {
+            if (!player.crushed) {
+                this.explodePlayer(this.playerViews[index]);
+            }
+        });
 
-                requestAnimationFrame(animate);
-            };
+        // Display the results
+        this.showResults(this.sim.gameOverReason);
+    }
 
-            animate();
-        };
+    // Death effect: the character bursts into particles
+    explodePlayer(view) {
+        const particles = [];
+        const particleCount = 50;
+        const colors = [view.color, 0x000000, 0xffccaa]; // Colors matching player parts
 
-        deathEffect();
-        
-        // Display game over message
-        const gameOverDiv = document.createElement('div');
-        gameOverDiv.style.position = 'fixed';
-        gameOverDiv.style.top = '50%';
-        gameOverDiv.style.left = '50%';
-        gameOverDiv.style.transform = 'translate(-50%, -50%)';
-        gameOverDiv.style.color = 'red';
-        gameOverDiv.style.fontSize = '48px';
-        gameOverDiv.style.fontFamily = 'monospace';
-        gameOverDiv.style.textShadow = '2px 2px 4px rgba(0,0,0,0.5)';
-        gameOverDiv.textContent = 'GAME OVER';
-        document.body.appendChild(gameOverDiv);
-    }
-
-    updateCubes() {
-        this.moveTimer++;
-        if (this.moveTimer >= this.moveInterval) {
-            this.moveTimer = 0;
-            
-            // Move cubes one cell at a time with rolling animation
-            this.cubes.forEach(cube => {
-                if (!this.rollingCubes.has(cube)) {
-                    const currentPos = cube.getPosition();
-                    const targetPos = {
-                        x: currentPos.x,
-                        y: currentPos.y,
-                        z: Math.round(currentPos.z) + 1
-                    };
-
-                    this.rollingCubes.add(cube);
-                    
-                    // Create rolling animation
-                    let progress = 0;
-                    const animate = () => {
-                        if (progress < 1) {
-                            progress += 0.05; // Reduced from 0.1 to 0.05 for slower rolling
-                            
-                            // Update position - maintain x alignment
-                            cube.mesh.position.x = currentPos.x;
-                            cube.mesh.position.z = currentPos.z + (targetPos.z - currentPos.z) * progress;
-                            
-                            // Add rolling rotation
-                            cube.mesh.rotation.x = -Math.PI * 2 * progress;
-                            
-                            requestAnimationFrame(animate);
-                        } else {
-                            // Snap to final position and reset rotation
-                            cube.mesh.position.set(targetPos.x, targetPos.y, targetPos.z);
-                            cube.mesh.rotation.set(0, 0, 0);
-                            this.rollingCubes.delete(cube);
-
-                            // Check if cube has rolled off the edge
-                            if (cube.getPosition().z > this.rows/2) {
-                                cube.startFalling();
-                            }
-                        }
-                    };
-                    animate();
-                }
+        for (let i = 0; i < particleCount; i++) {
+            const geometry = new THREE.BoxGeometry(0.1, 0.1, 0.1);
+            const material = new THREE.MeshPhongMaterial({
+                color: colors[Math.floor(this.effectsRandom.next() * colors.length)],
+                transparent: true,
+                opacity: 1
             });
-
-            // Remove cubes that have fallen off
-            this.cubes = this.cubes.filter(cube => {
-                if (cube.getPosition().z > this.rows/2) {
-                    return false;
-                }
-                return true;
+            const particle = new THREE.Mesh(geometry, material);
+            
+            // Distribute particles across player's height
+            particle.position.copy(view.group.position);
+            particle.position.y += this.effectsRandom.next() * 1.5; // Distribute across player height
+            
+            // Set random velocity
+            particle.velocity = new THREE.Vector3(
+                (this.effectsRandom.next() - 0.5) * 0.3,
+                this.effectsRandom.next() * 0.3,
+                (this.effectsRandom.next() - 0.5) * 0.3
+            );
+
+            this.effects.add(particle);
+            particles.push(particle);
+        }
+
+        // Hide player
+        view.group.visible = false;
+
+        // Animate particles
+        this.animations.add(dt => {
+            const frames = dt / TICK_MS; // Velocities are per 60Hz frame
+
+            particles.forEach((particle, index) => {
+                particle.position.addScaledVector(particle.velocity, frames);
+                particle.velocity.y -= 0.01 * frames; // Add gravity
+                particle.rotation.x += 0.1 * frames;
+                particle.rotation.z += 0.1 * frames;
+                particle.material.opacity -= 0.02 * frames;
+
+                if (particle.material.opacity <= 0) {
+                    this.effects.remove(particle);
+                    particle.geometry.dispose();
+                    particle.material.dispose();
+                    particles.splice(index, 1);
+                }
+            });
+
+            return particles.length > 0;
+        });
+    }
+
+    // Centered overlay panel for the title, results and high score screens
+    createPanel(fontSize) {
+        const panel = document.createElement('div');
+        panel.style.position = 'fixed';
+        panel.style.top = '50%';
+        panel.style.left = '50%';
+        panel.style.transform = 'translate(-50%, -50%)';
+        panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        panel.style.padding = '20px 30px';
+        panel.style.borderRadius = '10px';
+        panel.style.color = 'white';
+        panel.style.fontFamily = 'monospace';
+        panel.style.fontSize = fontSize;
+        panel.style.textAlign = 'center';
+        panel.style.zIndex = '1001';
+        return panel;
+    }
+
+    // Table with a header row, rows are arrays of cell text
+    createTable(rows) {
+        const table = document.createElement('table');
+        table.style.borderCollapse = 'collapse';
+        table.style.fontSize = '14px';
+        rows.forEach((cells, index) => {
+            const row = document.createElement('tr');
+            cells.forEach(text => {
+                const cell = document.createElement(index === 0 ? 'th' : 'td');
+                cell.textContent = text;
+                cell.style.padding = '2px 8px';
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+        return table;
+    }
+
+    // Results screen: I.Q. rating, run totals and a per-level breakdown
+    showResults(reason) {
+        this.hideMessage();
+        const { levels, totals } = this.stats.summary();
+
+        const resultsDiv = this.createPanel('16px');
+
+        const title = document.createElement('div');
+        if (this.versus) {
+            const won = reason === 'won';
+            title.textContent = won ? 'YOU WIN' : 'YOU LOSE';
+            title.style.color = won ? '#0f0' : 'red';
+        } else if (reason === 'complete') {
+            title.textContent = `${this.sim.puzzle.name.toUpperCase()} CLEAR`;
+            title.style.color = '#0f0';
+        } else {
+            title.textContent = 'GAME OVER';
+            title.style.color = 'red';
+        }
+        title.style.fontSize = '48px';
+        resultsDiv.appendChild(title);
+
+        const rating = document.createElement('div');
+        rating.textContent = `I.Q. ${this.stats.rating()}`;
+        rating.style.fontSize = '40px';
+        rating.style.color = '#ffd700';
+        rating.style.margin = '10px 0 15px';
+        resultsDiv.appendChild(rating);
+
+        const summary = [
+            this.sim.playerCount > 1
+                ? `SCORE ${totals.score}  ${this.sim.players.map((player, index) => `P${index + 1} ${player.score}`).join('  ')}`
+                : `SCORE ${totals.score}`,
+            `LEVEL ${totals.levelsReached}  TIME ${formatTime(totals.time)}`,
+            `CAPTURED ${totals.captured + totals.cleared}/${totals.targets}  BY AREAS ${totals.cleared}`,
+            `PERFECT WAVES ${totals.perfect}/${totals.waves}  BEST COMBO x${totals.maxCombo}`,
+            `FORBIDDEN HITS ${totals.forbidden}  CUBES LOST ${totals.missed}`,
+            `ROWS LEFT ${totals.rows}/${totals.startRows}`
+        ];
+        summary.forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            resultsDiv.appendChild(line);
+        });
+
+        // Per-level breakdown
+        const rows = [['LV', 'WAVES', 'PERFECT', 'CAPTURED', 'LOST', 'FORBIDDEN', 'SCORE', 'TIME']];
+        levels.forEach(stats => rows.push([
+            stats.level,
+            stats.waves,
+            stats.perfect,
+            `${stats.captured + stats.cleared}/${stats.targets}`,
+            stats.missed,
+            stats.forbidden,
+            stats.score,
+            formatTime(stats.time)
+        ]));
+        const table = this.createTable(rows);
+        table.style.margin = '15px auto 0';
+        resultsDiv.appendChild(table);
+
+        if (this.newHighScore) {
+            resultsDiv.appendChild(this.createNameEntry());
+        }
+
+        if (!this.replay && !this.demo) {
+            const hint = document.createElement('div');
+            const next = this.versus ? 'FOR THE TITLE SCREEN' : 'TO RETRY';
+            hint.textContent = this.touch ? `TAP HERE ${next}` : `PRESS ${this.bindings.describe('restart')} ${next}`;
+            hint.style.marginTop = '15px';
+            hint.style.cursor = 'pointer';
+            hint.addEventListener('click', () => this.restart());
+            resultsDiv.appendChild(hint);
+        }
+
+        document.body.appendChild(resultsDiv);
+        this.messageDiv = resultsDiv;
+    }
+
+    // Name entry for a qualifying score, replaced by the rank once saved
+    createNameEntry() {
+        const entryDiv = document.createElement('div');
+        entryDiv.style.marginTop = '15px';
+        entryDiv.style.color = '#ffd700';
+        entryDiv.textContent = 'NEW HIGH SCORE! ENTER YOUR NAME ';
+
+        const input = document.createElement('input');
+        input.maxLength = MAX_NAME_LENGTH;
+        input.value = loadJSON(PLAYER_NAME_KEY, '');
+        input.style.fontFamily = 'monospace';
+        input.style.fontSize = '16px';
+        input.style.width = `${MAX_NAME_LENGTH + 1}ch`;
+        input.style.textTransform = 'uppercase';
+        entryDiv.appendChild(input);
+
+        const save = () => {
+            const sim = this.sim;
+            const category = highScoreCategory(sim);
+            const rank = addHighScore(category, {
+                name: input.value,
+                score: sim.score,
+                level: sim.level,
+                seed: sim.seed,
+                rating: this.stats.rating()
             });
+            saveJSON(PLAYER_NAME_KEY, input.value.trim());
+            this.newHighScore = false;
+            entryDiv.textContent = rank ? `RANK #${rank} - ${category.toUpperCase()}` : '';
+        };
+
+        const button = document.createElement('button');
+        button.textContent = 'SAVE';
+        button.style.fontFamily = 'monospace';
+        button.style.fontSize = '16px';
+        button.style.marginLeft = '8px';
+        button.addEventListener('click', save);
+        entryDiv.appendChild(button);
+
+        input.addEventListener('keydown', e => {
+            if (e.key === 'Enter') {
+                save();
+            }
+        });
+        setTimeout(() => input.focus());
+
+        return entryDiv;
+    }
+
+    // Leaderboard viewer reached from the title screen
+    showHighScores(category = highScoreCategory(this.sim)) {
+        this.hideMessage();
+        const tables = loadAllHighScores();
+        const categories = Object.keys(tables);
+        if (!categories.includes(category)) {
+            categories.unshift(category);
+        }
+
+        const scoresDiv = this.createPanel('16px');
+
+        const title = document.createElement('div');
+        title.textContent = 'HIGH SCORES';
+        title.style.fontSize = '36px';
+        title.style.marginBottom = '10px';
+        scoresDiv.appendChild(title);
+
+        // One tab per difficulty or puzzle pack with scores
+        const tabs = document.createElement('div');
+        categories.forEach(name => {
+            const tab = document.createElement('button');
+            tab.textContent = name.toUpperCase();
+            tab.style.fontFamily = 'monospace';
+            tab.style.fontSize = '14px';
+            tab.style.margin = '0 4px';
+            tab.style.fontWeight = name === category ? 'bold' : 'normal';
+            tab.addEventListener('click', () => this.showHighScores(name));
+            tabs.appendChild(tab);
+        });
+        scoresDiv.appendChild(tabs);
+
+        const entries = tables[category] ?? [];
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'NO SCORES YET';
+            empty.style.margin = '15px 0';
+            scoresDiv.appendChild(empty);
+        } else {
+            const rows = [['#', 'NAME', 'SCORE', 'LEVEL', 'I.Q.', 'SEED', 'DATE']];
+            entries.forEach((entry, index) => rows.push([
+                index + 1,
+                entry.name,
+                entry.score,
+                entry.level,
+                entry.rating ?? '-',
+                entry.seed,
+                new Date(entry.date).toLocaleDateString()
+            ]));
+            const table = this.createTable(rows);
+            table.style.margin = '15px auto';
+            scoresDiv.appendChild(table);
+        }
+
+        const back = document.createElement('button');
+        back.textContent = 'BACK';
+        back.style.fontFamily = 'monospace';
+        back.style.fontSize = '18px';
+        back.addEventListener('click', () => this.showTitle());
+        scoresDiv.appendChild(back);
+
+        document.body.appendChild(scoresDiv);
+        this.messageDiv = scoresDiv;
+    }
+
+    // Rebinding screen reached from the title screen: click a key slot, then
+    // press the new key (Escape while waiting clears the slot instead)
+    showKeyBindings() {
+        this.hideMessage();
+        const bindingsDiv = this.createPanel('16px');
+
+        const title = document.createElement('div');
+        title.textContent = 'CONTROLS';
+        title.style.fontSize = '36px';
+        title.style.marginBottom = '10px';
+        bindingsDiv.appendChild(title);
+
+        const table = this.createTable([['ACTION', ...Array.from({ length: KEYS_PER_ACTION }, (_, slot) => `KEY ${slot + 1}`)]]);
+        table.style.margin = '0 auto 15px';
+        KEY_ACTIONS.forEach(({ action, label }) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = label.toUpperCase();
+            name.style.padding = '2px 8px';
+            name.style.textAlign = 'left';
+            row.appendChild(name);
+
+            const keys = this.bindings.keysFor(action);
+            for (let slot = 0; slot < KEYS_PER_ACTION; slot++) {
+                const cell = document.createElement('td');
+                cell.style.padding = '2px 8px';
+                const button = document.createElement('button');
+                const waiting = this.rebinding?.action === action && this.rebinding.slot === slot;
+                button.textContent = waiting ? 'PRESS A KEY' : (keys[slot] ? keyLabel(keys[slot]) : '-');
+                button.style.fontFamily = 'monospace';
+                button.style.fontSize = '14px';
+                button.style.minWidth = '110px';
+                button.style.fontWeight = waiting ? 'bold' : 'normal';
+                button.addEventListener('click', () => {
+                    this.rebinding = { action, slot };
+                    this.showKeyBindings();
+                });
+                cell.appendChild(button);
+                row.appendChild(cell);
+            }
+            table.appendChild(row);
+        });
+        bindingsDiv.appendChild(table);
+
+        const choices = [
+            ['RESET DEFAULTS', () => {
+                this.rebinding = null;
+                this.bindings.reset();
+                this.updateControlsUI();
+                this.showKeyBindings();
+            }],
+            ['BACK', () => {
+                this.rebinding = null;
+                this.showTitle();
+            }]
+        ];
+        choices.forEach(([text, choose]) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.fontFamily = 'monospace';
+            button.style.fontSize = '18px';
+            button.style.margin = '0 8px';
+            button.addEventListener('click', choose);
+            bindingsDiv.appendChild(button);
+        });
+
+        document.body.appendChild(bindingsDiv);
+        this.messageDiv = bindingsDiv;
+    }
+
+    // Volume sliders and mute, reached from the title screen
+    showSoundSettings() {
+        this.hideMessage();
+        const soundDiv = this.createPanel('16px');
+
+        const title = document.createElement('div');
+        title.textContent = 'SOUND';
+        title.style.fontSize = '36px';
+        title.style.marginBottom = '10px';
+        soundDiv.appendChild(title);
+
+        SOUND_CHANNELS.forEach(channel => {
+            const row = document.createElement('label');
+            row.style.display = 'block';
+            row.style.margin = '8px 0';
+            row.textContent = channel.toUpperCase().padEnd(7);
+            row.style.whiteSpace = 'pre';
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = '0';
+            slider.max = '1';
+            slider.step = '0.05';
+            slider.value = String(this.sound.volume(channel));
+            slider.style.verticalAlign = 'middle';
+            slider.addEventListener('input', () => {
+                this.sound.setVolume(channel, slider.value);
+            });
+            // Let the player hear the new effects level
+            slider.addEventListener('change', () => {
+                if (channel !== 'music') this.sound.play('capture');
+            });
+            row.appendChild(slider);
+            soundDiv.appendChild(row);
+        });
+
+        const choices = [
+            [this.sound.muted ? 'UNMUTE' : 'MUTE', () => {
+                this.sound.toggleMute();
+                this.showSoundSettings();
+            }],
+            ['BACK', () => this.showTitle()]
+        ];
+        choices.forEach(([text, choose]) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.fontFamily = 'monospace';
+            button.style.fontSize = '18px';
+            button.style.margin = '10px 8px 0';
+            button.addEventListener('click', choose);
+            soundDiv.appendChild(button);
+        });
 
-            // Check if wave is complete
-            if (this.cubes.length === 0) {
-                this.currentWave++;
-                if (this.currentWave < this.wavesPerLevel) {
-                    this.generateWave();
+        document.body.appendChild(soundDiv);
+        this.messageDiv = soundDiv;
+    }
+
+    // Versus lobby reached from the title screen: pick the relay and a room,
+    // then wait there until a second player joins the same room
+    showVersusLobby(status = '') {
+        this.hideMessage();
+        const saved = loadJSON(VERSUS_KEY, {});
+        const lobbyDiv = this.createPanel('16px');
+
+        const title = document.createElement('div');
+        title.textContent = 'VERSUS';
+        title.style.fontSize = '36px';
+        title.style.marginBottom = '10px';
+        lobbyDiv.appendChild(title);
+
+        const field = (text, value) => {
+            const row = document.createElement('label');
+            row.style.display = 'block';
+            row.style.margin = '8px 0';
+            row.style.whiteSpace = 'pre';
+            row.textContent = text.padEnd(7);
+            const input = document.createElement('input');
+            input.value = value;
+            input.style.fontFamily = 'monospace';
+            input.style.fontSize = '16px';
+            input.style.width = '26ch';
+            row.appendChild(input);
+            lobbyDiv.appendChild(row);
+            return input;
+        };
+        const server = field('SERVER', this.versus?.client.url ?? saved.server ?? DEFAULT_SERVER_URL);
+        const room = field('ROOM', this.versus?.room ?? saved.room ?? 'default');
+
+        const statusLine = document.createElement('div');
+        statusLine.textContent = status;
+        statusLine.style.margin = '10px 0';
+        statusLine.style.minHeight = '1em';
+        lobbyDiv.appendChild(statusLine);
+
+        const choices = [
+            ['JOIN', () => {
+                saveJSON(VERSUS_KEY, { server: server.value.trim(), room: room.value.trim() });
+                this.joinVersus(server.value.trim(), room.value.trim());
+            }],
+            ['BACK', () => {
+                this.endVersus();
+                this.showTitle();
+            }]
+        ];
+        choices.forEach(([text, choose]) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.fontFamily = 'monospace';
+            button.style.fontSize = '18px';
+            button.style.margin = '0 8px';
+            button.addEventListener('click', choose);
+            lobbyDiv.appendChild(button);
+        });
+
+        const hint = document.createElement('div');
+        hint.textContent = 'START THE RELAY WITH: npm run relay';
+        hint.style.fontSize = '14px';
+        hint.style.marginTop = '15px';
+        lobbyDiv.appendChild(hint);
+
+        document.body.appendChild(lobbyDiv);
+        this.messageDiv = lobbyDiv;
+    }
+
+    // Connects to the relay and waits in the lobby for the game to start
+    joinVersus(url, room) {
+        this.endVersus();
+        const client = new VersusClient(url || DEFAULT_SERVER_URL);
+        const versus = {
+            client,
+            room: room || 'default',
+            player: null, // 1 or 2 once the game started
+            opponent: { score: 0, rows: null, level: 1, out: false, left: false },
+            sent: { forbiddenRows: 0, stageRows: 0 },
+            error: null, // Last error from the relay or the connection
+            disconnected: false
+        };
+        this.versus = versus;
+
+        const lobby = status => {
+            if (this.versus === versus && versus.player === null) this.showVersusLobby(status);
+        };
+        client.on('waiting', () => lobby(`WAITING FOR AN OPPONENT IN ROOM "${versus.room}"`));
+        client.on('error', ({ message }) => {
+            versus.error = message.toUpperCase();
+            lobby(versus.error);
+        });
+        client.on('start', message => this.startVersus(message));
+        client.on('garbage', garbage => {
+            if (this.versus !== versus || versus.player === null) return;
+            this.sim.addGarbage({ forbiddenRows: garbage.forbiddenRows, stageRows: garbage.stageRows });
+        });
+        client.on('status', ({ score, rows, level }) => {
+            Object.assign(versus.opponent, { score, rows, level });
+            this.updateOpponentUI();
+        });
+        client.on('gameOver', () => {
+            if (this.versus !== versus || versus.player === null) return;
+            versus.opponent.out = true;
+            this.sim.opponentOut();
+            this.updateOpponentUI();
+        });
+        client.on('opponentLeft', () => {
+            if (this.versus !== versus) return;
+            versus.opponent.left = true;
+            if (versus.player !== null) {
+                this.sim.opponentOut(); // Quitting forfeits
+            }
+            this.updateOpponentUI();
+        });
+        client.on('closed', () => {
+            if (this.versus !== versus) return;
+            lobby(versus.error ?? 'DISCONNECTED'); // Keep showing why, e.g. a full room
+            versus.disconnected = true;
+            this.updateOpponentUI();
+        });
+
+        lobby('CONNECTING...');
+        client.connect(versus.room, this.difficulty);
+    }
+
+    // Both players are in: play the relay's seed and difficulty, trading garbage
+    startVersus({ seed, difficulty, player }) {
+        const versus = this.versus;
+        if (!versus || versus.player !== null) return;
+
+        let sim;
+        try {
+            sim = new Simulation({ seed, difficulty });
+        } catch (error) {
+            console.error('Could not start versus game:', error);
+            versus.client.close();
+            this.showVersusLobby('COULD NOT START THE GAME');
+            return;
+        }
+        versus.player = player;
+
+        this.hideMessage();
+        this.clearEffects();
+        this.loadSimulation(sim);
+        this.bindVersus();
+        this.recorder = new InputRecorder(this.sim);
+        this.setState(GameState.PLAYING);
+        this.sim.start();
+        this.sendVersusStatus();
+        this.updateOpponentUI();
+    }
+
+    // Sends good play to the opponent and keeps them posted on this stage
+    bindVersus() {
+        const sim = this.sim;
+        const { client, sent } = this.versus;
+        const send = garbage => {
+            if (!garbage) return;
+            client.send('garbage', garbage);
+            sent.forbiddenRows += garbage.forbiddenRows;
+            sent.stageRows += garbage.stageRows;
+            this.showGarbageBanner(`SENT ${describeGarbage(garbage)}`, '#ff8800');
+            this.updateOpponentUI();
+        };
+
+        sim.on('waveCompleted', (level, wave, result) => send(garbageForWave(result)));
+        sim.on('comboEnded', combo => send(garbageForCombo(combo)));
+        sim.on('garbageQueued', garbage => {
+            this.showGarbageBanner(`INCOMING ${describeGarbage(garbage)}`, 'red');
+        });
+        ['waveStarted', 'scoreChanged', 'rowLost', 'rowGained'].forEach(event => {
+            sim.on(event, () => this.sendVersusStatus());
+        });
+        sim.on('gameOver', reason => {
+            if (reason !== 'won') {
+                client.send('gameOver');
+            }
+            this.updateOpponentUI();
+        });
+    }
+
+    sendVersusStatus() {
+        const sim = this.sim;
+        this.versus?.client.send('status', { score: sim.score, rows: sim.rows, level: sim.level });
+    }
+
+    // Drops the connection and the opponent panel, leaving the current simulation as is
+    endVersus() {
+        if (!this.versus) return;
+        const { client } = this.versus;
+        this.versus = null;
+        client.removeAllListeners();
+        client.close();
+        this.updateOpponentUI();
+    }
+
+    // Back to a local game on the title screen
+    leaveVersus() {
+        this.endVersus();
+        this.clearEffects();
+        this.loadSimulation(this.createSimulation());
+        this.recorder = new InputRecorder(this.sim);
+        this.showTitle();
+    }
+
+    // The autoplayer plays a game with a random seed at the current difficulty
+    // and player count, to show the game off. Keys 1-3 switch the bots' skill
+    // on the fly, any other input goes back to the title screen.
+    startDemo(skill = loadJSON(DEMO_SKILL_KEY, 'expert')) {
+        this.endDemo();
+        this.hideMessage();
+        this.clearEffects();
+        this.loadSimulation(new Simulation({
+            puzzle: this.options.puzzle,
+            difficulty: this.difficulty,
+            players: this.playerCount
+        }));
+        this.recorder = new InputRecorder(this.sim);
+        this.demo = { skill: null, bots: [], banner: this.createBanner('90%', '20px', 'white') };
+        this.demo.banner.style.textAlign = 'center';
+        this.setDemoSkill(skill in SKILL_LEVELS ? skill : 'expert');
+        this.setState(GameState.PLAYING);
+        this.sim.start();
+    }
+
+    // Fresh bots at the given skill take over every player
+    setDemoSkill(skill) {
+        const demo = this.demo;
+        demo.skill = skill;
+        demo.bots = this.sim.players.map((player, index) => new AutoPlayer(this.sim, { skill, player: index }));
+
+        const hint = document.createElement('div');
+        hint.style.fontSize = '14px';
+        hint.style.marginTop = '5px';
+        hint.textContent = this.touch
+            ? 'TAP FOR THE TITLE SCREEN'
+            : Object.keys(SKILL_LEVELS).map((name, index) => `${index + 1} ${name.toUpperCase()}`).join('  ') +
+                ' - ANY OTHER KEY FOR THE TITLE SCREEN';
+        demo.banner.replaceChildren(`DEMO - ${skill.toUpperCase()} BOT`, hint);
+    }
+
+    demoKey(key) {
+        const skill = Object.keys(SKILL_LEVELS)[Number(key) - 1];
+        if (skill && !this.sim.isGameOver) {
+            saveJSON(DEMO_SKILL_KEY, skill);
+            this.setDemoSkill(skill);
+        } else {
+            this.leaveDemo();
+        }
+    }
+
+    // Shows the results for a while, then plays on when the page was opened
+    // with ?autoplay, or goes back to the title screen
+    finishDemo() {
+        const demo = this.demo;
+        this.animations.wait(DEMO_RESULTS_MS).promise.then(completed => {
+            if (!completed || this.demo !== demo) return;
+            if (this.options.autoplay !== undefined) {
+                this.startDemo(demo.skill);
+            } else {
+                this.leaveDemo();
+            }
+        });
+    }
+
+    // Drops the bots and the banner, leaving the current simulation as is
+    endDemo() {
+        if (!this.demo) return;
+        this.demo.banner.remove();
+        this.demo = null;
+        this.updateTouchControls();
+    }
+
+    leaveDemo() {
+        this.endDemo();
+        this.lastInputTime = performance.now(); // A full idle period before the attract mode comes back
+        this.clearEffects();
+        this.loadSimulation(this.createSimulation());
+        this.recorder = new InputRecorder(this.sim);
+        this.showTitle();
+    }
+
+    createOpponentUI() {
+        const opponentDiv = document.createElement('div');
+        opponentDiv.style.position = 'fixed';
+        opponentDiv.style.top = '20px';
+        opponentDiv.style.right = '20px';
+        opponentDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        opponentDiv.style.padding = '15px';
+        opponentDiv.style.borderRadius = '10px';
+        opponentDiv.style.color = 'white';
+        opponentDiv.style.fontFamily = 'monospace';
+        opponentDiv.style.fontSize = '16px';
+        opponentDiv.style.zIndex = '1000';
+        opponentDiv.style.pointerEvents = 'none';
+        document.body.appendChild(opponentDiv);
+        this.opponentDiv = opponentDiv;
+        this.updateOpponentUI();
+    }
+
+    // The opponent's stage during a versus game
+    updateOpponentUI() {
+        const opponentDiv = this.opponentDiv;
+        const versus = this.versus;
+        opponentDiv.style.display = versus?.player ? '' : 'none';
+        if (!versus?.player) return;
+
+        const { opponent, sent } = versus;
+        let state = `LEVEL ${opponent.level}`;
+        if (opponent.out) {
+            state = 'OUT';
+        } else if (opponent.left) {
+            state = 'LEFT THE GAME';
+        } else if (versus.disconnected) {
+            state = 'CONNECTION LOST';
+        }
+        const lines = [
+            `OPPONENT (P${3 - versus.player})`,
+            state,
+            `SCORE ${opponent.score}`,
+            `ROWS ${opponent.rows ?? '-'}`,
+            `SENT ${sent.forbiddenRows} FORBIDDEN / ${sent.stageRows} STAGE`
+        ];
+
+        opponentDiv.replaceChildren();
+        lines.forEach((text, index) => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            if (index === 0) {
+                line.style.fontWeight = 'bold';
+                line.style.marginBottom = '5px';
+                line.style.borderBottom = '1px solid white';
+            }
+            opponentDiv.appendChild(line);
+        });
+    }
+
+    finishRebinding(key) {
+        const { action, slot } = this.rebinding;
+        this.rebinding = null;
+        if (key === 'escape') {
+            if (slot < this.bindings.keysFor(action).length) {
+                this.bindings.unbind(action, slot);
+            }
+        } else {
+            this.bindings.bind(action, slot, key);
+        }
+        this.updateControlsUI();
+        this.showKeyBindings();
+    }
+
+    showMessage(text, color, hint = '') {
+        if (this.messageDiv) {
+            this.messageDiv.remove();
+        }
+
+        const messageDiv = document.createElement('div');
+        messageDiv.style.position = 'fixed';
+        messageDiv.style.top = '50%';
+        messageDiv.style.left = '50%';
+        messageDiv.style.transform = 'translate(-50%, -50%)';
+        messageDiv.style.color = color;
+        messageDiv.style.fontSize = '48px';
+        messageDiv.style.fontFamily = 'monospace';
+        messageDiv.style.textShadow = '2px 2px 4px rgba(0,0,0,0.5)';
+        messageDiv.style.textAlign = 'center';
+        messageDiv.textContent = text;
+
+        if (hint) {
+            const hintDiv = document.createElement('div');
+            hintDiv.style.color = 'white';
+            hintDiv.style.fontSize = '18px';
+            hintDiv.style.marginTop = '10px';
+            hintDiv.textContent = hint;
+            messageDiv.appendChild(hintDiv);
+        }
+
+        document.body.appendChild(messageDiv);
+        this.messageDiv = messageDiv;
+    }
+
+    hideMessage() {
+        if (this.messageDiv) {
+            this.messageDiv.remove();
+            this.messageDiv = null;
+        }
+    }
+
+    // Overlay text above the board, used for wave awards and the combo counter
+    createBanner(top, fontSize, color) {
+        const banner = document.createElement('div');
+        banner.style.position = 'fixed';
+        banner.style.top = top;
+        banner.style.left = '50%';
+        banner.style.transform = 'translate(-50%, -50%)';
+        banner.style.color = color;
+        banner.style.fontSize = fontSize;
+        banner.style.fontFamily = 'monospace';
+        banner.style.textShadow = '2px 2px 4px rgba(0,0,0,0.5)';
+        document.body.appendChild(banner);
+        return banner;
+    }
+
+    fadeOutBanner(banner, duration, onComplete) {
+        return this.animations.tween({
+            duration,
+            easing: Easing.easeInQuad,
+            update: fade => {
+                banner.style.opacity = String(1 - fade);
+            },
+            onComplete
+        });
+    }
+
+    cycleCamera() {
+        const mode = this.cameraController.cycle();
+        saveJSON(CAMERA_KEY, mode);
+
+        if (this.cameraBanner) {
+            this.cameraBanner.cancel();
+        }
+        const banner = this.createBanner('12%', '20px', 'white');
+        banner.textContent = `CAMERA: ${mode.toUpperCase()}`;
+        this.cameraBanner = this.fadeOutBanner(banner, 1200);
+        this.cameraBanner.promise.then(() => banner.remove()); // Also when cut short by the next switch
+    }
+
+    // Wave award banner, fades out on its own
+    showAward(text, color) {
+        this.hideAward();
+        this.awardDiv = this.createBanner('25%', '36px', color);
+        this.awardDiv.textContent = text;
+        this.awardAnimation = this.fadeOutBanner(this.awardDiv, 1500, () => this.hideAward());
+    }
+
+    hideAward() {
+        if (this.awardAnimation) {
+            this.awardAnimation.cancel();
+            this.awardAnimation = null;
+        }
+        if (this.awardDiv) {
+            this.awardDiv.remove();
+            this.awardDiv = null;
+        }
+    }
+
+    // Versus garbage going out or coming in, above the award banner
+    showGarbageBanner(text, color) {
+        this.hideGarbageBanner();
+        this.garbageDiv = this.createBanner('15%', '28px', color);
+        this.garbageDiv.textContent = text;
+        this.garbageAnimation = this.fadeOutBanner(this.garbageDiv, 2000, () => this.hideGarbageBanner());
+    }
+
+    hideGarbageBanner() {
+        if (this.garbageAnimation) {
+            this.garbageAnimation.cancel();
+            this.garbageAnimation = null;
+        }
+        if (this.garbageDiv) {
+            this.garbageDiv.remove();
+            this.garbageDiv = null;
+        }
+    }
+
+    // Combo counter, stays up while an advantage chain is running
+    showCombo(combo) {
+        if (this.comboAnimation) {
+            this.comboAnimation.cancel();
+            this.comboAnimation = null;
+        }
+        if (!this.comboDiv) {
+            this.comboDiv = this.createBanner('35%', '32px', '#00ff00');
+        }
+        this.comboDiv.style.opacity = '1';
+        this.comboDiv.textContent = `COMBO x${combo}`;
+
+        // Pop on every new detonation
+        const comboDiv = this.comboDiv;
+        this.animations.tween({
+            duration: 150,
+            easing: Easing.easeOutQuad,
+            update: t => {
+                comboDiv.style.transform = `translate(-50%, -50%) scale(${1.5 - 0.5 * t})`;
+            }
+        });
+    }
+
+    endCombo() {
+        if (!this.comboDiv) return;
+        this.comboAnimation = this.fadeOutBanner(this.comboDiv, 1000, () => this.hideCombo());
+    }
+
+    hideCombo() {
+        if (this.comboAnimation) {
+            this.comboAnimation.cancel();
+            this.comboAnimation = null;
+        }
+        if (this.comboDiv) {
+            this.comboDiv.remove();
+            this.comboDiv = null;
+        }
+    }
+
+    setState(state) {
+        this.state = state;
+        // Releasing keys avoids a held direction carrying over a pause or restart
+        if (state !== GameState.PLAYING) {
+            this.keys.clear();
+            this.padHeld = [{}, {}];
+            this.walkTarget = null;
+            this.applyMoveInput();
+        }
+        this.updateTouchControls();
+    }
+
+    // On-screen controls only show while a game of your own is on
+    updateTouchControls() {
+        if (this.touch) {
+            this.touch.visible = !this.replay && !this.demo && (this.state === GameState.PLAYING || this.state === GameState.PAUSED);
+        }
+    }
+
+    togglePause() {
+        if (this.versus) return; // The opponent's stage would keep going
+        if (this.state === GameState.PLAYING) {
+            this.setState(GameState.PAUSED);
+            const hint = this.touch
+                ? 'TAP II TO RESUME'
+                : `${this.bindings.describe('pause')} TO RESUME - ${this.bindings.describe('restart')} TO RESTART`;
+            this.showMessage('PAUSED', 'white', hint);
+        } else if (this.state === GameState.PAUSED) {
+            this.hideMessage();
+            this.setState(GameState.PLAYING);
+        }
+    }
+
+    clearEffects() {
+        this.animations.cancelAll();
+        [...this.effects.children].forEach(object => {
+            this.effects.remove(object);
+            object.traverse(child => {
+                child.geometry?.dispose();
+                child.material?.dispose();
+            });
+        });
+    }
+
+    // Fresh simulation for the configured seed, puzzle pack and difficulty
+    createSimulation() {
+        return new Simulation({
+            seed: this.options.seed,
+            puzzle: this.options.puzzle,
+            difficulty: this.difficulty,
+            players: this.playerCount
+        });
+    }
+
+    // Tear down the current run and start a fresh one without reloading the page
+    restart() {
+        // A versus game is over for good, a rematch goes through the lobby again
+        if (this.versus) {
+            this.leaveVersus();
+            return;
+        }
+        removeItem(SAVE_KEY);
+        this.clearEffects();
+        this.loadSimulation(this.createSimulation());
+        this.recorder = new InputRecorder(this.sim);
+        this.setState(GameState.PLAYING);
+        this.sim.start();
+    }
+
+    showTitle() {
+        this.setState(GameState.TITLE);
+        this.hideMessage();
+
+        const savedGame = loadJSON(SAVE_KEY);
+        const titleDiv = this.createPanel('18px');
+
+        const title = document.createElement('div');
+        title.textContent = 'INTELLIGENT QUBE';
+        title.style.fontSize = '48px';
+        title.style.marginBottom = '15px';
+        titleDiv.appendChild(title);
+
+        if (savedGame) {
+            const summary = document.createElement('div');
+            summary.textContent = `SAVED GAME - LEVEL ${savedGame.level} SCORE ${savedGame.score} ROWS ${savedGame.rows}`;
+            summary.style.marginBottom = '15px';
+            titleDiv.appendChild(summary);
+        }
+
+        // Difficulty picker for new games, puzzle packs set their own pace
+        if (!this.options.puzzle) {
+            titleDiv.appendChild(this.createDifficultyPicker());
+        }
+        titleDiv.appendChild(this.createPlayersPicker());
+
+        const choices = [
+            ['NEW GAME', () => this.restart()],
+            ['HIGH SCORES', () => this.showHighScores()],
+            ['DEMO', () => this.startDemo()],
+            ['CONTROLS', () => this.showKeyBindings()],
+            ['SOUND', () => this.showSoundSettings()]
+        ];
+        if (!this.options.puzzle) {
+            choices.splice(1, 0, ['VERSUS', () => this.showVersusLobby()]);
+        }
+        if (savedGame) {
+            choices.unshift(['CONTINUE', () => {
+                try {
+                    this.resumeGame(savedGame);
+                } catch (error) {
+                    console.error('Could not resume saved game:', error);
+                    this.restart();
+                }
+            }]);
+        }
+
+        choices.forEach(([text, choose]) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.fontFamily = 'monospace';
+            button.style.fontSize = '18px';
+            button.style.margin = '0 8px';
+            button.addEventListener('click', () => {
+                this.hideMessage();
+                choose();
+            });
+            titleDiv.appendChild(button);
+        });
+
+        const hint = document.createElement('div');
+        hint.textContent = 'ENTER - NEW GAME';
+        hint.style.fontSize = '14px';
+        hint.style.marginTop = '15px';
+        titleDiv.appendChild(hint);
+
+        document.body.appendChild(titleDiv);
+        this.messageDiv = titleDiv;
+    }
+
+    createDifficultyPicker() {
+        const picker = document.createElement('div');
+        picker.style.marginBottom = '15px';
+
+        const label = document.createElement('span');
+        label.textContent = 'DIFFICULTY ';
+        picker.appendChild(label);
+
+        // Built-in presets, plus the custom table this page was opened with
+        const options = Object.keys(DIFFICULTY_PRESETS).map(name => [name, parseDifficulty(name)]);
+        if (!options.some(([, difficulty]) => difficulty.name === this.difficulty.name)) {
+            options.push([this.difficulty, this.difficulty]);
+        }
+
+        const buttons = options.map(([source, difficulty]) => {
+            const button = document.createElement('button');
+            button.textContent = difficulty.name.toUpperCase();
+            button.style.fontFamily = 'monospace';
+            button.style.fontSize = '14px';
+            button.style.margin = '0 4px';
+            button.addEventListener('click', () => {
+                this.difficulty = difficulty;
+                saveJSON(DIFFICULTY_KEY, source);
+                buttons.forEach(other => {
+                    other.style.fontWeight = other === button ? 'bold' : 'normal';
+                });
+                button.blur();
+            });
+            button.style.fontWeight = difficulty.name === this.difficulty.name ? 'bold' : 'normal';
+            picker.appendChild(button);
+            return button;
+        });
+
+        return picker;
+    }
+
+    // One player, or two sharing the stage and the keyboard or two controllers
+    createPlayersPicker() {
+        const picker = document.createElement('div');
+        picker.style.marginBottom = '15px';
+
+        const label = document.createElement('span');
+        label.textContent = 'PLAYERS ';
+        picker.appendChild(label);
+
+        const buttons = [[1, '1 PLAYER'], [2, '2 PLAYERS CO-OP']].map(([count, text]) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.fontFamily = 'monospace';
+            button.style.fontSize = '14px';
+            button.style.margin = '0 4px';
+            button.addEventListener('click', () => {
+                this.playerCount = count;
+                saveJSON(PLAYERS_KEY, count);
+                buttons.forEach(other => {
+                    other.style.fontWeight = other === button ? 'bold' : 'normal';
+                });
+                button.blur();
+            });
+            button.style.fontWeight = count === this.playerCount ? 'bold' : 'normal';
+            picker.appendChild(button);
+            return button;
+        });
+
+        return picker;
+    }
+
+    animate(time = performance.now()) {
+        requestAnimationFrame(nextTime => this.animate(nextTime));
+        const frameTime = Math.min(time - (this.lastFrameTime ?? time), MAX_FRAME_MS);
+        this.lastFrameTime = time;
+
+        this.pollGamepad();
+
+        // Effects follow the replay speed and hold while the game is paused
+        const effectsPaused = this.replay ? this.replayPaused : this.state === GameState.PAUSED;
+        if (!effectsPaused) {
+            this.animations.timeScale = this.replay ? this.replaySpeed : 1;
+            this.animations.update(frameTime);
+        }
+
+        // Fixed-timestep simulation: consume elapsed real time in TICK_MS steps
+        this.accumulator += frameTime * this.simulationSpeed();
+        while (this.accumulator >= TICK_MS) {
+            if (this.simulationSpeed() === 0) {
+                this.accumulator = 0; // Paused or game over mid-frame
+                break;
+            }
+            this.accumulator -= TICK_MS;
+            this.capturePreviousState();
+            if (this.replay) {
+                this.replay.step();
+            } else {
+                if (this.demo) {
+                    this.demo.bots.forEach(bot => bot.update());
                 } else {
-                    this.level++;
-                    this.startLevel();
-                    this.updateUI();
+                    this.applyMoveInput();
                 }
+                this.sim.step();
             }
         }
-    }
+        if (this.replay) {
+            this.updateReplayUI();
+        }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
-        if (!this.isGameOver) {
-            this.updatePlayer();
-            this.updateCubes();
+        // Attract mode: the demo takes over a title screen nobody is using
+        if (this.state === GameState.TITLE && !this.versus && !this.rebinding &&
+            time - this.lastInputTime > ATTRACT_IDLE_MS) {
+            this.startDemo();
         }
+
+        // Music runs with the game clock and speeds up as the stage shrinks
+        this.sound.setMusicPlaying(this.simulationSpeed() > 0 && !this.sim.isGameOver);
+        this.sound.setTempo(tempoForRows(this.sim.rows, this.sim.startRows));
+        this.sound.update();
+
+        const alpha = this.accumulator / TICK_MS;
+        this.updatePlayer(alpha);
+        this.updateCubes(alpha);
+        this.cameraController.update(this.sim, frameTime);
         this.renderer.render(this.scene, this.camera);
     }
 
+    // Simulation steps per real-time step
+    simulationSpeed() {
+        if (this.replay) {
+            return this.replayPaused || this.replay.isFinished ? 0 : this.replaySpeed;
+        }
+        return this.state === GameState.PLAYING ? 1 : 0;
+    }
+
+    autosave() {
+        // Fresh games, replays, versus games and demos are not worth resuming
+        if (this.replay || this.versus || this.demo || this.state === GameState.TITLE || this.sim.isGameOver || this.sim.tick === 0) return;
+        saveJSON(SAVE_KEY, { ...this.sim.serialize(), stats: this.stats.toJSON() });
+    }
+
+    resumeGame(snapshot) {
+        this.clearEffects();
+        this.loadSimulation(Simulation.fromSnapshot(snapshot), snapshot.stats);
+        this.recorder = new InputRecorder(this.sim, { snapshot });
+        this.setState(GameState.PLAYING);
+    }
+
+    startReplay(log) {
+        this.endVersus();
+        this.endDemo();
+        this.recorder.stop();
+        this.clearEffects();
+        this.hideMessage();
+        this.setState(GameState.PLAYING);
+        this.replay = new ReplayPlayer(log);
+        this.replaySpeed = 1;
+        this.replayPaused = false;
+        this.loadSimulation(this.replay.sim, log.snapshot?.stats);
+        this.replay.start();
+        this.updateReplayUI();
+        this.updateTouchControls();
+    }
+
+    exitReplay() {
+        this.replay = null;
+        this.clearEffects();
+        this.loadSimulation(this.createSimulation());
+        this.recorder = new InputRecorder(this.sim);
+        this.updateReplayUI();
+        this.showTitle();
+        this.updateTouchControls();
+    }
+
+    seekReplay(tick) {
+        // Re-simulate silently, then redraw the final state in one go
+        this.muted = true;
+        this.replay.seek(tick);
+        this.muted = false;
+        this.rebuildScene();
+        this.updateReplayUI();
+    }
+
+    downloadReplay() {
+        const log = this.recorder.toJSON();
+        const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `iq-replay-${log.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    createReplayUI() {
+        const replayDiv = document.createElement('div');
+        replayDiv.style.position = 'fixed';
+        replayDiv.style.bottom = '20px';
+        replayDiv.style.left = '20px';
+        replayDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        replayDiv.style.padding = '10px';
+        replayDiv.style.borderRadius = '10px';
+        replayDiv.style.color = 'white';
+        replayDiv.style.fontFamily = 'monospace';
+        replayDiv.style.fontSize = '14px';
+        replayDiv.style.zIndex = '1000';
+        replayDiv.style.display = 'flex';
+        replayDiv.style.gap = '8px';
+        replayDiv.style.alignItems = 'center';
+
+        const button = (text, onClick) => {
+            const element = document.createElement('button');
+            element.textContent = text;
+            element.style.fontFamily = 'monospace';
+            element.addEventListener('click', () => {
+                onClick();
+                element.blur(); // Keep Space for the game instead of re-clicking
+            });
+            return element;
+        };
+
+        // Hidden file picker for loading replays
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                this.startReplay(await file.text());
+            } catch (error) {
+                console.error('Could not load replay:', error);
+            }
+        });
+
+        this.replayControls = {
+            save: button('SAVE REPLAY', () => this.downloadReplay()),
+            load: button('LOAD REPLAY', () => fileInput.click()),
+            play: button('PAUSE', () => {
+                this.replayPaused = !this.replayPaused;
+                this.updateReplayUI();
+            }),
+            seek: document.createElement('input'),
+            speed: document.createElement('select'),
+            time: document.createElement('span'),
+            exit: button('EXIT REPLAY', () => this.exitReplay())
+        };
+
+        const { seek, speed } = this.replayControls;
+        seek.type = 'range';
+        seek.addEventListener('input', () => this.seekReplay(Number(seek.value)));
+
+        [0.25, 0.5, 1, 2, 4, 8].forEach(value => {
+            const option = document.createElement('option');
+            option.value = String(value);
+            option.textContent = `${value}x`;
+            speed.appendChild(option);
+        });
+        speed.value = '1';
+        speed.addEventListener('change', () => {
+            this.replaySpeed = Number(speed.value);
+            speed.blur();
+        });
+
+        replayDiv.appendChild(fileInput);
+        Object.values(this.replayControls).forEach(element => replayDiv.appendChild(element));
+        document.body.appendChild(replayDiv);
+
+        this.updateReplayUI();
+    }
+
+    updateReplayUI() {
+        const controls = this.replayControls;
+        const watching = Boolean(this.replay);
+
+        controls.save.style.display = watching ? 'none' : '';
+        controls.load.style.display = watching ? 'none' : '';
+        ['play', 'seek', 'speed', 'time', 'exit'].forEach(name => {
+            controls[name].style.display = watching ? '' : 'none';
+        });
+        if (!watching) return;
+
+        const tick = this.replay.sim.tick;
+        controls.play.textContent = this.replayPaused ? 'PLAY' : 'PAUSE';
+        controls.seek.min = String(this.replay.startTick);
+        controls.seek.max = String(this.replay.length);
+        controls.seek.value = String(tick);
+        controls.speed.value = String(this.replaySpeed);
+        controls.time.textContent = `${formatTime(tick * TICK_MS)}/${formatTime(this.replay.length * TICK_MS)}`;
+    }
+
     createControlsUI() {
+        if (isTouchDevice()) return; // The on-screen controls take this corner
+
         const controlsDiv = document.createElement('div');
+        this.controlsDiv = controlsDiv;
         controlsDiv.style.position = 'fixed';
         controlsDiv.style.bottom = '20px';
         controlsDiv.style.right = '20px';
@@ -935,11 +2407,32 @@ export class Game {
         controlsDiv.style.fontSize = '14px';
         controlsDiv.style.zIndex = '1000';
 
+        document.body.appendChild(controlsDiv);
+        this.updateControlsUI();
+    }
+
+    // Lists the current key bindings, rebuilt whenever they change
+    updateControlsUI() {
+        const controlsDiv = this.controlsDiv;
+        if (!controlsDiv) return;
+        controlsDiv.replaceChildren();
+
+        const keys = action => this.bindings.describe(action);
         const controls = [
             'Controls:',
-            'WASD/Arrows - Move',
-            'SPACE - Mark/Activate Cell',
-            'BACKSPACE - Trigger Green Areas'
+            `${keys('moveUp')} ${keys('moveLeft')} ${keys('moveDown')} ${keys('moveRight')} - Move`,
+            `${keys('mark')} - Mark/Activate Cell`,
+            `${keys('triggerAdvantage')} - Trigger Green Areas`,
+            `${keys('fastForward')} (hold) - Fast-forward Cubes`,
+            `${keys('pause')} - Pause`,
+            `${keys('restart')} - Retry (paused or game over)`,
+            `${keys('mute')} - Mute Sound`,
+            `${keys('camera')} - Camera Mode`,
+            `P2: ${keys('p2MoveUp')} ${keys('p2MoveLeft')} ${keys('p2MoveDown')} ${keys('p2MoveRight')} move,`,
+            `${keys('p2Mark')} mark, ${keys('p2TriggerAdvantage')} trigger`,
+            'Gamepad: stick/d-pad move, A mark,',
+            'B trigger, Y camera, RB fast-forward,',
+            'START pause'
         ];
 
         controls.forEach((text, index) => {
@@ -952,7 +2445,5 @@ export class Game {
             }
             controlsDiv.appendChild(line);
         });
-
-        document.body.appendChild(controlsDiv);
     }
 } 
\ No newline at end of file
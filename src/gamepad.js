@@ -0,0 +1,66 @@
+// Polls the Gamepad API and turns a connected controller into game actions:
+// the first one by default, the second one for player 2 in co-op games. Uses
+// the "standard" button layout:
+//   left stick / d-pad   move
+//   A (Cross)            mark/activate
+//   B (Circle)           trigger advantage areas
+//   Y (Triangle)         switch camera mode
+//   RB / RT              fast-forward while held
+//   Start                pause, start a game from the title or results screen
+const BUTTONS = {
+    mark: [0],
+    advantage: [1],
+    camera: [3],
+    fast: [5, 7],
+    pause: [9],
+    up: [12],
+    down: [13],
+    left: [14],
+    right: [15]
+};
+
+export class GamepadInput {
+    constructor({ deadzone = 0.3, index = 0 } = {}) {
+        this.deadzone = deadzone; // Stick travel ignored around the center
+        this.index = index; // Which connected controller, in connection order
+        this.held = {};
+    }
+
+    get isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    }
+
+    // Reads the controller. Returns { held, pressed }: actions down right now,
+    // and the ones that went down since the last poll.
+    poll() {
+        const pads = this.isSupported ? Array.from(navigator.getGamepads()).filter(gamepad => gamepad?.connected) : [];
+        const pad = pads[this.index] ?? null;
+        const held = {};
+        Object.keys(BUTTONS).forEach(action => {
+            held[action] = !!pad && BUTTONS[action].some(index => pad.buttons[index]?.pressed);
+        });
+
+        if (pad) {
+            const [x = 0, y = 0] = pad.axes;
+            if (Math.hypot(x, y) > this.deadzone) {
+                // Either axis counts once it is past half of the dominant one, so diagonals work
+                const dominant = Math.max(Math.abs(x), Math.abs(y));
+                if (Math.abs(x) > dominant / 2) {
+                    held.left ||= x < 0;
+                    held.right ||= x > 0;
+                }
+                if (Math.abs(y) > dominant / 2) {
+                    held.up ||= y < 0;
+                    held.down ||= y > 0;
+                }
+            }
+        }
+
+        const pressed = {};
+        Object.keys(held).forEach(action => {
+            pressed[action] = held[action] && !this.held[action];
+        });
+        this.held = held;
+        return { held, pressed };
+    }
+}
@@ -0,0 +1,63 @@
+// Integer board coordinates. Columns run 0..cols-1 from left to right and
+// rows are counted from the back edge of the stage, which never moves, so
+// row 0 is the back row and row rows-1 the front row. Waves waiting behind
+// the stage sit on negative rows. World positions are cell centers.
+//
+// Cells are addressed by "col,row" keys, and the grid keeps an occupancy
+// map of those keys so "what is on this cell" is a single lookup.
+export class Grid {
+    constructor({ cols, back, cellSize = 1 }) {
+        this.cols = cols;
+        this.back = back; // World z of the back edge of row 0
+        this.left = -cols * cellSize / 2; // World x of the left edge of column 0
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "col,row" -> occupant
+    }
+
+    static key(col, row) {
+        return `${col},${row}`;
+    }
+
+    // World -> grid: the cell containing the point
+    toCol(x) {
+        return Math.floor((x - this.left) / this.cellSize);
+    }
+
+    toRow(z) {
+        return Math.floor((z - this.back) / this.cellSize);
+    }
+
+    // Grid -> world: the center of the cell
+    toX(col) {
+        return this.left + (col + 0.5) * this.cellSize;
+    }
+
+    toZ(row) {
+        return this.back + (row + 0.5) * this.cellSize;
+    }
+
+    inColumns(col) {
+        return col >= 0 && col < this.cols;
+    }
+
+    get(col, row) {
+        return this.cells.get(Grid.key(col, row)) ?? null;
+    }
+
+    set(col, row, occupant) {
+        this.cells.set(Grid.key(col, row), occupant);
+    }
+
+    // Only clears the cell if it still holds this occupant, so a cube that
+    // already rolled on does not free the cell the next one rolled into
+    delete(col, row, occupant) {
+        const key = Grid.key(col, row);
+        if (occupant === undefined || this.cells.get(key) === occupant) {
+            this.cells.delete(key);
+        }
+    }
+
+    clear() {
+        this.cells.clear();
+    }
+}
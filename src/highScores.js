@@ -0,0 +1,56 @@
+import { loadJSON, saveJSON } from './storage.js';
+
+// Local leaderboards, one per difficulty or puzzle pack, kept in localStorage as
+// { [category]: [{ name, score, level, seed, rating, date }] } sorted best first.
+export const HIGH_SCORE_COUNT = 10;
+export const MAX_NAME_LENGTH = 10;
+
+const STORAGE_KEY = 'highScores';
+
+// Leaderboard name for a simulation: its puzzle pack, or its difficulty.
+// Co-op games get tables of their own.
+export function highScoreCategory(sim) {
+    const category = sim.puzzle ? `Puzzle: ${sim.puzzle.name}` : sim.difficulty.name;
+    return sim.playerCount === 2 ? `${category} (2P)` : category;
+}
+
+export function loadAllHighScores() {
+    const tables = loadJSON(STORAGE_KEY, {});
+    return tables && typeof tables === 'object' ? tables : {};
+}
+
+export function loadHighScores(category) {
+    const table = loadAllHighScores()[category];
+    return Array.isArray(table) ? table : [];
+}
+
+// Whether a score would make it onto the table
+export function qualifiesForHighScore(category, score) {
+    if (score <= 0) return false;
+    const table = loadHighScores(category);
+    return table.length < HIGH_SCORE_COUNT || score > table[table.length - 1].score;
+}
+
+// Inserts the entry and returns its 1-based rank, or null when it did not make the cut.
+// Ties go below the scores that were there first.
+export function addHighScore(category, { name, score, level, seed, rating }) {
+    const entry = {
+        name: String(name).trim().slice(0, MAX_NAME_LENGTH).toUpperCase() || '???',
+        score,
+        level,
+        seed,
+        rating,
+        date: new Date().toISOString()
+    };
+
+    const table = loadHighScores(category);
+    let index = table.findIndex(other => score > other.score);
+    if (index === -1) index = table.length;
+    if (index >= HIGH_SCORE_COUNT) return null;
+
+    table.splice(index, 0, entry);
+    const tables = loadAllHighScores();
+    tables[category] = table.slice(0, HIGH_SCORE_COUNT);
+    saveJSON(STORAGE_KEY, tables);
+    return index + 1;
+}
@@ -0,0 +1,129 @@
+import { loadJSON, saveJSON } from './storage.js';
+
+// Keyboard layout as actions -> keys, so players can rebind controls (left
+// handed, AZERTY, ...). Keys are KeyboardEvent.key values in lower case, and
+// every action has up to KEYS_PER_ACTION of them. Saved in localStorage as
+// { [action]: [key, ...] }; actions missing from the save keep their defaults.
+export const KEYS_PER_ACTION = 2;
+
+export const KEY_ACTIONS = [
+    { action: 'moveUp', label: 'Move Up' },
+    { action: 'moveDown', label: 'Move Down' },
+    { action: 'moveLeft', label: 'Move Left' },
+    { action: 'moveRight', label: 'Move Right' },
+    { action: 'mark', label: 'Mark/Activate Cell' },
+    { action: 'triggerAdvantage', label: 'Trigger Green Areas' },
+    { action: 'fastForward', label: 'Fast-forward Cubes' },
+    { action: 'pause', label: 'Pause' },
+    { action: 'restart', label: 'Retry' },
+    { action: 'mute', label: 'Mute Sound' },
+    { action: 'camera', label: 'Camera Mode' },
+    // Second player in co-op games
+    { action: 'p2MoveUp', label: 'P2 Move Up' },
+    { action: 'p2MoveDown', label: 'P2 Move Down' },
+    { action: 'p2MoveLeft', label: 'P2 Move Left' },
+    { action: 'p2MoveRight', label: 'P2 Move Right' },
+    { action: 'p2Mark', label: 'P2 Mark/Activate Cell' },
+    { action: 'p2TriggerAdvantage', label: 'P2 Trigger Green Areas' }
+];
+
+export const DEFAULT_KEY_BINDINGS = {
+    moveUp: ['w', 'arrowup'],
+    moveDown: ['s', 'arrowdown'],
+    moveLeft: ['a', 'arrowleft'],
+    moveRight: ['d', 'arrowright'],
+    mark: [' '],
+    triggerAdvantage: ['backspace'],
+    fastForward: ['f'],
+    pause: ['p', 'escape'],
+    restart: ['r'],
+    mute: ['m'],
+    camera: ['c'],
+    p2MoveUp: ['i'],
+    p2MoveDown: ['k'],
+    p2MoveLeft: ['j'],
+    p2MoveRight: ['l'],
+    p2Mark: ['u'],
+    p2TriggerAdvantage: ['o']
+};
+
+// Keys with a fixed meaning that cannot be bound: Enter starts games and
+// answers the menus
+export const RESERVED_KEYS = ['enter'];
+
+const STORAGE_KEY = 'keyBindings';
+
+const KEY_LABELS = {
+    ' ': 'SPACE',
+    'arrowup': 'UP',
+    'arrowdown': 'DOWN',
+    'arrowleft': 'LEFT',
+    'arrowright': 'RIGHT',
+    'escape': 'ESC',
+    'backspace': 'BACKSPACE'
+};
+
+// Display name for a key
+export function keyLabel(key) {
+    return KEY_LABELS[key] ?? key.toUpperCase();
+}
+
+export class KeyBindings {
+    constructor(saved = loadJSON(STORAGE_KEY, {})) {
+        this.bindings = {};
+        KEY_ACTIONS.forEach(({ action }) => {
+            const keys = Array.isArray(saved?.[action]) ? saved[action] : DEFAULT_KEY_BINDINGS[action];
+            this.bindings[action] = keys.filter(key => typeof key === 'string' && !RESERVED_KEYS.includes(key))
+                .slice(0, KEYS_PER_ACTION);
+        });
+    }
+
+    keysFor(action) {
+        return this.bindings[action] ?? [];
+    }
+
+    // The action a key is bound to, or null
+    actionFor(key) {
+        return KEY_ACTIONS.find(({ action }) => this.bindings[action].includes(key))?.action ?? null;
+    }
+
+    // Binds key to the action's slot. A key only ever does one thing, so it is
+    // taken away from whatever action had it before.
+    bind(action, slot, key) {
+        if (!(action in this.bindings)) {
+            throw new Error(`Unknown action "${action}"`);
+        }
+        if (RESERVED_KEYS.includes(key)) return false;
+
+        Object.keys(this.bindings).forEach(other => {
+            this.bindings[other] = this.bindings[other].filter(bound => bound !== key);
+        });
+        const keys = this.bindings[action];
+        keys.splice(Math.min(slot, keys.length), 1, key);
+        this.bindings[action] = keys.slice(0, KEYS_PER_ACTION);
+        this.save();
+        return true;
+    }
+
+    unbind(action, slot) {
+        this.bindings[action].splice(slot, 1);
+        this.save();
+    }
+
+    reset() {
+        KEY_ACTIONS.forEach(({ action }) => {
+            this.bindings[action] = [...DEFAULT_KEY_BINDINGS[action]];
+        });
+        this.save();
+    }
+
+    // "W/UP" style text for the controls panel and hints
+    describe(action) {
+        const keys = this.keysFor(action);
+        return keys.length > 0 ? keys.map(keyLabel).join('/') : '(unbound)';
+    }
+
+    save() {
+        saveJSON(STORAGE_KEY, this.bindings);
+    }
+}
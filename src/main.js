@@ -1,7 +1,56 @@
 import './style.css'
 import { Game } from './game'
+import { parsePuzzlePack, fetchPuzzlePack } from './puzzles'
+import { DIFFICULTY_PRESETS, parseDifficulty, fetchDifficulty } from './difficulty'
+
+// Built-in puzzle packs, selectable with ?puzzle=<file name without extension>
+const builtInPuzzles = import.meta.glob('./puzzles/*.{txt,json}', { query: '?raw', import: 'default', eager: true });
+
+async function loadPuzzle(name) {
+    if (!name) return null;
+
+    const builtIn = builtInPuzzles[`./puzzles/${name}.txt`] ?? builtInPuzzles[`./puzzles/${name}.json`];
+    if (builtIn) {
+        return parsePuzzlePack(builtIn);
+    }
+    // Anything else is treated as a URL to a pack file
+    return fetchPuzzlePack(name);
+}
+
+// ?difficulty=easy|normal|hard, or a URL to a custom difficulty table
+async function loadDifficulty(name) {
+    if (!name) return undefined;
+
+    if (name.toLowerCase() in DIFFICULTY_PRESETS) {
+        return parseDifficulty(name);
+    }
+    return fetchDifficulty(name);
+}
 
 // Initialize the game when the page loads
-window.addEventListener('load', () => {
-    const game = new Game();
+window.addEventListener('load', async () => {
+    // ?seed=1234 replays the same waves
+    const params = new URLSearchParams(window.location.search);
+
+    let puzzle = null;
+    try {
+        puzzle = await loadPuzzle(params.get('puzzle'));
+    } catch (error) {
+        console.error('Falling back to random waves:', error);
+    }
+
+    let difficulty;
+    try {
+        difficulty = await loadDifficulty(params.get('difficulty'));
+    } catch (error) {
+        console.error('Falling back to the saved difficulty:', error);
+    }
+
+    // ?autoplay=novice|normal|expert runs the demo nonstop, e.g. for a kiosk
+    const game = new Game({
+        seed: params.get('seed') ?? undefined,
+        autoplay: params.get('autoplay') ?? undefined,
+        puzzle,
+        difficulty
+    });
 });
@@ -0,0 +1,148 @@
+import { cubeTypeForSymbol } from './cubeTypes.js';
+
+// Hand-authored puzzle packs. A pack replaces the random wave generator with
+// designed waves and can be written either as JSON or as a compact ASCII file.
+//
+// JSON:
+//   {
+//     "name": "Intro",
+//     "rows": 21,                       // starting stage length (optional)
+//     "levels": [
+//       {
+//         "moveInterval": 3000,         // ms between cube rolls, carries over to later levels (optional)
+//         "waves": [
+//           { "par": 2, "grid": ["..NNNN..", "..NANN.."] }
+//         ]
+//       }
+//     ]
+//   }
+//
+// ASCII:
+//   # comment
+//   name: Intro
+//   rows: 21
+//
+//   level moveInterval=3000
+//   wave par=2
+//   . . N N N N . .
+//   . . N A N N . .
+//
+// Grid symbols: N normal, A advantage, F forbidden, . empty, plus the symbol
+// of any other type in the cube type registry (cubeTypes.js). Spaces between
+// symbols are optional. The first grid line is the back of the wave and the
+// last line is the front row that reaches the player first. Every line must
+// be exactly as wide as the stage.
+
+// Accepts a pack object, a JSON string or ASCII text and returns a normalized pack:
+// { name, rows, levels: [{ moveInterval, waves: [{ par, grid: [[type|null]] }] }] }
+export function parsePuzzlePack(source, { cols = 8 } = {}) {
+    let pack = source;
+    if (typeof source === 'string') {
+        const text = source.trim();
+        pack = text.startsWith('{') ? JSON.parse(text) : parseAsciiPack(text);
+    }
+
+    if (!pack || !Array.isArray(pack.levels) || pack.levels.length === 0) {
+        throw new Error('Puzzle pack needs at least one level');
+    }
+
+    return {
+        name: pack.name ?? 'Untitled',
+        rows: readPositiveInt(pack.rows, 'rows'),
+        levels: pack.levels.map((level, levelIndex) => {
+            if (!Array.isArray(level.waves) || level.waves.length === 0) {
+                throw new Error(`Level ${levelIndex + 1} needs at least one wave`);
+            }
+            return {
+                moveInterval: readPositiveInt(level.moveInterval, 'moveInterval'),
+                waves: level.waves.map((wave, waveIndex) => ({
+                    par: readPositiveInt(wave.par, 'par'),
+                    grid: parseWaveGrid(wave.grid, cols, `Level ${levelIndex + 1} wave ${waveIndex + 1}`)
+                }))
+            };
+        })
+    };
+}
+
+export function parseWaveGrid(lines, cols, label = 'Wave') {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw new Error(`${label} has an empty grid`);
+    }
+
+    return lines.map((line, lineIndex) => {
+        const symbols = Array.isArray(line) ? line : line.replace(/\s+/g, '').split('');
+        if (symbols.length !== cols) {
+            throw new Error(`${label}, line ${lineIndex + 1}: expected ${cols} cells, got ${symbols.length}`);
+        }
+        return symbols.map(symbol => {
+            if (symbol === '.') return null;
+            const type = cubeTypeForSymbol(symbol);
+            if (!type) {
+                throw new Error(`${label}, line ${lineIndex + 1}: unknown cube symbol "${symbol}"`);
+            }
+            return type.name;
+        });
+    });
+}
+
+// Browser helper for packs hosted next to the game
+export async function fetchPuzzlePack(url, options) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load puzzle pack ${url} (${response.status})`);
+    }
+    return parsePuzzlePack(await response.text(), options);
+}
+
+function parseAsciiPack(text) {
+    const pack = { levels: [] };
+    let level = null;
+    let wave = null;
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        if (!line) return;
+
+        const [keyword, ...rest] = line.split(/\s+/);
+        if (keyword === 'level') {
+            level = { ...readSettings(rest), waves: [] };
+            pack.levels.push(level);
+            wave = null;
+        } else if (keyword === 'wave') {
+            if (!level) {
+                throw new Error(`Line ${index + 1}: "wave" before any "level"`);
+            }
+            wave = { ...readSettings(rest), grid: [] };
+            level.waves.push(wave);
+        } else if (/^\w+:/.test(line) && !level) {
+            const [key, value] = line.split(/:\s*/, 2);
+            pack[key] = value;
+        } else {
+            if (!wave) {
+                throw new Error(`Line ${index + 1}: grid row outside of a "wave"`);
+            }
+            wave.grid.push(line);
+        }
+    });
+
+    return pack;
+}
+
+// "par=3 moveInterval=2000" -> { par: '3', moveInterval: '2000' }
+function readSettings(tokens) {
+    const settings = {};
+    tokens.forEach(token => {
+        const [key, value] = token.split('=');
+        settings[key] = value;
+    });
+    return settings;
+}
+
+function readPositiveInt(value, name) {
+    if (value === undefined || value === null) return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new Error(`"${name}" must be a positive integer, got "${value}"`);
+    }
+    return number;
+}
@@ -0,0 +1,50 @@
+// Seedable PRNG (mulberry32) so a run can be reproduced from its seed.
+// The whole generator state is a single 32-bit integer, which keeps it easy to save and restore.
+export class Random {
+    constructor(seed = Random.randomSeed()) {
+        this.seed = Random.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [0, max)
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // Independent stream derived from this seed, e.g. for cosmetic effects
+    fork(salt) {
+        return new Random((this.seed ^ Random.normalizeSeed(salt)) >>> 0);
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Accepts numbers, numeric strings (e.g. from a URL) or arbitrary words
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a hash for word seeds
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
@@ -0,0 +1,231 @@
+import { Simulation } from './simulation.js';
+
+// Runs are recorded as the seed plus every input the simulation received,
+// stamped with the tick it was applied on. Because the simulation is
+// deterministic, feeding the same inputs back reproduces the run exactly.
+//
+// Log format (JSON):
+//   {
+//     "version": 1,
+//     "seed": 1234,
+//     "cols": 8, "rows": 25,
+//     "puzzle": null,            // normalized puzzle pack, if one was played
+//     "difficulty": {...},       // normalized difficulty table (missing means Normal)
+//     "players": 1,              // 2 for a co-op game (missing means 1)
+//     "snapshot": null,          // starting state when recording began mid-game (a resumed save)
+//     "length": 5400,            // ticks recorded
+//     "inputs": [[tick, "m", 5], [tick, "f", 1], [tick, "k"], [tick, "a"]],
+//     "result": { "reason": "stage", "score": 23155 }  // how the run ended, null if it had not
+//   }
+//
+// Input codes: "m" movement bitmask (1 up, 2 down, 4 left, 8 right),
+// "f" fast-forward held (1) or released (0), "k" mark/activate, "a" advantage trigger,
+// "g" versus garbage received as [forbiddenRows, stageRows], "o" versus opponent out.
+// Inputs of the second player carry its index as a fourth entry, with a value of
+// 0 for "k" and "a": [tick, "k", 0, 1].
+//
+// Inputs stamped with the last tick are still applied: a mark or trigger can
+// end the game between two steps, on the tick it was pressed.
+export const REPLAY_VERSION = 1;
+
+const MOVE_BITS = { up: 1, down: 2, left: 4, right: 8 };
+
+export function encodeMove(input) {
+    return Object.entries(MOVE_BITS).reduce((mask, [direction, bit]) => input[direction] ? mask | bit : mask, 0);
+}
+
+export function decodeMove(mask) {
+    const input = {};
+    Object.entries(MOVE_BITS).forEach(([direction, bit]) => {
+        input[direction] = (mask & bit) !== 0;
+    });
+    return input;
+}
+
+export class InputRecorder {
+    constructor(sim, { snapshot = null } = {}) {
+        this.sim = sim;
+        this.snapshot = snapshot; // Set when recording a game resumed from a save
+        this.inputs = [];
+        this.length = 0;
+        this.result = null;
+
+        this.unsubscribe = [
+            sim.on('input', (action, value, player = 0) => {
+                let input;
+                switch (action) {
+                    case 'move':
+                        input = [sim.tick, 'm', encodeMove(value)];
+                        break;
+                    case 'fastForward':
+                        input = [sim.tick, 'f', value ? 1 : 0];
+                        break;
+                    case 'mark':
+                        input = [sim.tick, 'k'];
+                        break;
+                    case 'advantage':
+                        input = [sim.tick, 'a'];
+                        break;
+                    case 'garbage':
+                        input = [sim.tick, 'g', [value.forbiddenRows, value.stageRows]];
+                        break;
+                    case 'opponentOut':
+                        input = [sim.tick, 'o'];
+                        break;
+                    default:
+                        return;
+                }
+                if (player > 0) {
+                    input[2] ??= 0;
+                    input.push(player);
+                }
+                this.inputs.push(input);
+            }),
+            sim.on('gameOver', reason => {
+                this.length = sim.tick;
+                this.result = { reason, score: sim.score };
+            })
+        ];
+    }
+
+    stop() {
+        this.unsubscribe.forEach(off => off());
+    }
+
+    toJSON() {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.sim.seed,
+            cols: this.sim.cols,
+            rows: this.sim.startRows,
+            puzzle: this.sim.puzzle,
+            difficulty: this.sim.difficulty,
+            players: this.sim.playerCount,
+            snapshot: this.snapshot,
+            length: this.sim.isGameOver ? this.length : this.sim.tick,
+            inputs: this.inputs,
+            result: this.sim.isGameOver ? this.result : null
+        };
+    }
+}
+
+export function parseReplay(source) {
+    const log = typeof source === 'string' ? JSON.parse(source) : source;
+    if (!log || log.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${log?.version}`);
+    }
+    if (!Array.isArray(log.inputs)) {
+        throw new Error('Replay has no inputs');
+    }
+    return log;
+}
+
+// Drives a fresh simulation from a recorded log. Seeking backwards
+// restarts from the first tick and re-simulates, which is cheap for a headless run.
+export class ReplayPlayer {
+    constructor(log) {
+        this.log = parseReplay(log);
+        this.sim = this.log.snapshot ? Simulation.fromSnapshot(this.log.snapshot) : new Simulation({
+            seed: this.log.seed,
+            cols: this.log.cols,
+            rows: this.log.rows,
+            puzzle: this.log.puzzle,
+            difficulty: this.log.difficulty,
+            players: this.log.players ?? 1
+        });
+        this.cursor = 0; // Index of the next input to apply
+        this.checked = false; // Whether the end was compared with the recorded result
+    }
+
+    get length() {
+        return this.log.length;
+    }
+
+    get startTick() {
+        return this.log.snapshot?.tick ?? 0;
+    }
+
+    get isFinished() {
+        return this.sim.isGameOver || (this.sim.tick >= this.length && !this.hasDueInput);
+    }
+
+    // An input for the current tick that has not been applied yet
+    get hasDueInput() {
+        const next = this.log.inputs[this.cursor];
+        return next !== undefined && next[0] <= this.sim.tick;
+    }
+
+    // Whether the replay ended the way the recorded run did, or null while it
+    // is still going or when the log has no result
+    get matchesRecording() {
+        const result = this.log.result;
+        if (!result || !this.isFinished) return null;
+        return this.sim.gameOverReason === result.reason && this.sim.score === result.score;
+    }
+
+    start() {
+        this.cursor = 0;
+        this.checked = false;
+        if (this.log.snapshot) {
+            this.sim.restore(this.log.snapshot);
+        } else {
+            this.sim.start();
+        }
+    }
+
+    step() {
+        if (this.isFinished) return;
+
+        while (this.hasDueInput) {
+            this.apply(this.log.inputs[this.cursor]);
+            this.cursor++;
+        }
+        // The last tick only has its inputs, which may have ended the game
+        if (!this.sim.isGameOver && this.sim.tick < this.length) {
+            this.sim.step();
+        }
+
+        if (this.isFinished && !this.checked) {
+            this.checked = true;
+            if (this.matchesRecording === false) {
+                console.warn(`Replay ended ${this.sim.gameOverReason ?? 'without a game over'} with ${this.sim.score} ` +
+                    `points, the recorded run ${this.log.result.reason} with ${this.log.result.score}`);
+            }
+        }
+    }
+
+    apply([, code, value, player = 0]) {
+        switch (code) {
+            case 'm':
+                this.sim.setMoveInput(decodeMove(value), player);
+                break;
+            case 'f':
+                this.sim.setFastForward(value === 1);
+                break;
+            case 'k':
+                this.sim.toggleMark(player);
+                break;
+            case 'a':
+                this.sim.triggerAllAdvantageSpots(player);
+                break;
+            case 'g':
+                this.sim.addGarbage({ forbiddenRows: value[0], stageRows: value[1] });
+                break;
+            case 'o':
+                this.sim.opponentOut();
+                break;
+        }
+    }
+
+    seek(tick) {
+        const target = Math.max(this.startTick, Math.min(tick, this.length));
+        if (target < this.sim.tick) {
+            this.sim.reset();
+            this.start();
+        }
+        // Seeking to the end also applies the inputs of the last tick
+        while (!this.isFinished && (this.sim.tick < target || target === this.length)) {
+            this.step();
+        }
+    }
+}
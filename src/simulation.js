@@ -0,0 +1,858 @@
+import { EventEmitter } from './events.js';
+import { Random } from './random.js';
+import { Grid } from './grid.js';
+import { getCubeType, getCubeTypes } from './cubeTypes.js';
+import { parseDifficulty, levelSettings } from './difficulty.js';
+
+// Headless game rules. Owns the board state (players, cubes, marks, advantage
+// areas, score, stage rows) and advances it by a fixed TICK_MS per step(). Nothing in
+// here touches Three.js or the DOM, so it runs the same in the browser and in Node.
+// All gameplay randomness comes from a seeded PRNG, so a seed replays the same waves.
+// Random waves follow a difficulty table (see difficulty.js). With a puzzle
+// pack (see puzzles.js) waves come from the pack instead of the PRNG.
+// Cubes, marks and advantage areas live on integer grid cells (see grid.js); their
+// world x/z are kept alongside for views and are always derived from the cell.
+// What each kind of cube does is declared in the cube type registry (cubeTypes.js).
+//
+// Two-player co-op games have a second player on the same stage. Each player
+// moves and marks on their own; advantage areas, rows and the team score are
+// shared, and every capture is also credited to the player who made it. A
+// crushed player sits out the rest of the wave, and the game is only lost to
+// crushing when nobody is left standing. Methods taking a player index default
+// to the first player.
+//
+// In versus games (see versus.js) the opponent's good play sends garbage: rows
+// of forbidden cubes queued behind the next wave, and rows taken off the front
+// of the stage as it starts. Garbage arrives as input so replays reproduce it.
+//
+// Views subscribe to these events:
+//   'reset'              ()
+//   'input'              (action, value, player)  action: 'move' | 'fastForward' | 'mark' | 'advantage' | 'garbage' | 'opponentOut'
+//   'waveStarted'        (level, wave)
+//   'waveCompleted'      (level, wave, result)  see evaluateWave()
+//   'cubeAdded'          (cube)
+//   'cubeRemoved'        (cube, reason)    reason: 'captured' | 'cleared' | 'fell' | 'discarded'
+//   'cubeMissed'         (cube, missed)    a target cube rolled off; missed so far this wave
+//   'cubesRolled'        (count)          count cubes started rolling one row forward
+//   'markPlaced'         (mark, player)
+//   'markActivated'      (mark, player)
+//   'advantageAdded'     (spot)
+//   'advantageTriggered' (spot, cells, combo)  combo: detonations so far in this chain, also the score multiplier
+//   'comboEnded'         (combo)
+//   'rowLost'            (frontRowZ)
+//   'rowGained'          (frontRowZ)
+//   'scoreChanged'       (score, delta, player)  player: who the points are credited to, null for wave bonuses
+//   'playerCrushed'      (player)         player index; a crushed player's mark is dropped
+//   'playerRespawned'    (player)         back at the start of the next wave
+//   'levelChanged'       (level)
+//   'garbageQueued'      (garbage)        { forbiddenRows, stageRows } now waiting for the next wave
+//   'garbageLanded'      (garbage)        { forbiddenRows, stageRows } added as the wave started
+//   'gameOver'           (reason)         reason: 'crushed' | 'stage' | 'complete' | 'won' (versus opponent out)
+export const SNAPSHOT_VERSION = 3;
+
+// Fixed simulation timestep. Callers run as many steps as real time has
+// elapsed, so the game plays at the same speed at any frame rate.
+export const TICK_MS = 1000 / 60;
+
+// Wave-end awards
+export const CLEAN_WAVE_BONUS = 500; // No forbidden cube captured
+export const PERFECT_WAVE_BONUS = 2000; // Clean, and every other cube captured
+
+// Advantage chains: areas detonate one after another this far apart
+export const CHAIN_DELAY_MS = 250;
+
+// Holding fast-forward runs the cubes this many times faster. Time saved on a
+// wave without misses is paid out at the end of the wave.
+export const FAST_FORWARD_SPEED = 4;
+export const TIME_BONUS_PER_SECOND = 50;
+
+// Versus garbage rows are made of this cube type
+export const GARBAGE_CUBE_TYPE = 'forbidden';
+
+export class Simulation extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.cols = options.cols ?? 8; // 8 columns wide
+        this.puzzle = options.puzzle ?? null; // Normalized pack from parsePuzzlePack()
+        this.difficulty = parseDifficulty(options.difficulty ?? 'normal'); // Preset name or table
+        this.startRows = this.puzzle?.rows ?? options.rows ?? this.difficulty.rows;
+        this.playerCount = options.players ?? 1;
+        if (this.playerCount !== 1 && this.playerCount !== 2) {
+            throw new Error(`A game has 1 or 2 players, got ${options.players}`);
+        }
+        this.cubeSize = 1;
+        this.seed = Random.normalizeSeed(options.seed ?? Random.randomSeed());
+        this.reset();
+    }
+
+    reset() {
+        this.random = new Random(this.seed);
+        this.tick = 0; // Steps taken so far; inputs are applied before the step of their tick
+        this.level = 1;
+        this.score = 0;
+        this.rows = this.startRows;
+        this.stageBack = -this.startRows / 2; // Rows are lost from the front, the back edge never moves
+        this.grid = new Grid({ cols: this.cols, back: this.stageBack, cellSize: this.cubeSize });
+        this.players = Array.from({ length: this.playerCount }, (_, index) => this.createPlayer(index));
+        this.fastForward = false; // Held fast-forward input, shared by all players
+        this.advantageSpots = new Map(); // "col,row" -> { key, col, row, x, z, cells }
+        this.chain = null; // Detonation chain in progress: { combo, pending: [spot keys], timer }
+        this.cubes = [];
+        this.nextCubeId = 1;
+        this.moveTimer = 0; // ms since the last roll
+        this.moveInterval = 3000; // ms between cube rolls
+        this.rollDuration = 1000 / 3; // ms a single roll takes
+        this.playerSpeed = 4.8; // Cells per second
+        this.currentWave = 0;
+        this.wavesPerLevel = 4;
+        this.waveMarks = 0; // Marks activated during the current wave
+        this.waveMissed = 0; // Target cubes that rolled off during the current wave
+        this.waveTargets = 0; // Target cubes the current wave started with
+        this.waveCaptured = 0; // ...and how many of them were captured or cleared
+        this.waveForbidden = 0; // Forbidden cubes captured during the current wave
+        this.waveTimeSaved = 0; // ms of cube time skipped by fast-forwarding during the current wave
+        this.par = null; // Puzzle par mark count for the current wave
+        this.garbage = { forbiddenRows: 0, stageRows: 0 }; // Versus garbage waiting for the next wave
+        this.isGameOver = false;
+        this.gameOverReason = null;
+        this.emit('reset');
+    }
+
+    // Plain-object copy of the whole board state, safe to JSON.stringify.
+    // Cubes caught mid-roll are saved on the cell they were rolling into,
+    // including ones rolling off the front that have yet to fall.
+    serialize() {
+        return {
+            version: SNAPSHOT_VERSION,
+            seed: this.seed,
+            random: this.random.state,
+            cols: this.cols,
+            startRows: this.startRows,
+            puzzle: this.puzzle,
+            difficulty: this.difficulty,
+            tick: this.tick,
+            level: this.level,
+            score: this.score,
+            rows: this.rows,
+            players: this.players.map(({ x, z, direction, mark, score, crushed }) => (
+                { x, z, direction, mark: mark && { ...mark }, score, crushed }
+            )),
+            advantageSpots: Array.from(this.advantageSpots.values()),
+            chain: this.chain && { ...this.chain, pending: [...this.chain.pending] },
+            cubes: this.cubes.map(cube => ({ id: cube.id, type: cube.type, col: cube.col, row: cube.row })),
+            nextCubeId: this.nextCubeId,
+            moveTimer: this.moveTimer,
+            moveInterval: this.moveInterval,
+            currentWave: this.currentWave,
+            wavesPerLevel: this.wavesPerLevel,
+            waveMarks: this.waveMarks,
+            waveMissed: this.waveMissed,
+            waveTargets: this.waveTargets,
+            waveCaptured: this.waveCaptured,
+            waveForbidden: this.waveForbidden,
+            waveTimeSaved: this.waveTimeSaved,
+            fastForward: this.fastForward,
+            par: this.par,
+            garbage: { ...this.garbage }
+        };
+    }
+
+    static fromSnapshot(snapshot) {
+        const sim = new Simulation({
+            seed: snapshot.seed,
+            cols: snapshot.cols,
+            rows: snapshot.startRows,
+            puzzle: snapshot.puzzle,
+            difficulty: snapshot.difficulty,
+            players: snapshot.players?.length ?? 1
+        });
+        sim.restore(snapshot);
+        return sim;
+    }
+
+    // Counterpart of serialize(). Emits 'reset' and then leaves the board as
+    // described, so views should redraw from state afterwards.
+    restore(snapshot) {
+        if (snapshot?.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version: ${snapshot?.version}`);
+        }
+
+        this.reset();
+        this.random.state = snapshot.random;
+        this.tick = snapshot.tick;
+        this.level = snapshot.level;
+        this.score = snapshot.score;
+        this.rows = snapshot.rows;
+        // Saves from before two-player games have a single player and mark
+        const players = snapshot.players ?? [{ ...snapshot.player, mark: snapshot.mark, score: snapshot.score }];
+        this.players.forEach((player, index) => {
+            const saved = players[index];
+            Object.assign(player, {
+                x: saved.x,
+                z: saved.z,
+                direction: saved.direction,
+                mark: saved.mark && { ...saved.mark },
+                score: saved.score ?? 0,
+                crushed: saved.crushed ?? false
+            });
+        });
+        snapshot.advantageSpots.forEach(spot => this.advantageSpots.set(spot.key, { ...spot }));
+        this.chain = snapshot.chain ? { ...snapshot.chain, pending: [...snapshot.chain.pending] } : null;
+        this.cubes = snapshot.cubes.map(({ id, type, col, row }) => this.placeCube({ id, type, col, row }));
+        // Cubes saved past the edge finish their roll on the next step and fall
+        // off the way they would have without the save
+        this.cubes.forEach(cube => {
+            if (cube.row >= this.rows) {
+                cube.roll = { fromZ: cube.z, toZ: cube.z, progress: 1 };
+            }
+        });
+        this.nextCubeId = snapshot.nextCubeId;
+        this.moveTimer = snapshot.moveTimer;
+        this.moveInterval = snapshot.moveInterval;
+        this.currentWave = snapshot.currentWave;
+        this.wavesPerLevel = snapshot.wavesPerLevel;
+        this.waveMarks = snapshot.waveMarks;
+        this.waveMissed = snapshot.waveMissed ?? 0;
+        this.waveTargets = snapshot.waveTargets ?? 0;
+        this.waveCaptured = snapshot.waveCaptured ?? 0;
+        this.waveForbidden = snapshot.waveForbidden ?? 0;
+        this.waveTimeSaved = snapshot.waveTimeSaved ?? 0;
+        this.fastForward = snapshot.fastForward ?? false;
+        this.par = snapshot.par;
+        this.garbage = { forbiddenRows: 0, stageRows: 0, ...snapshot.garbage };
+    }
+
+    get stageFront() {
+        return this.stageBack + this.rows * this.cubeSize;
+    }
+
+    get stageCenterZ() {
+        return this.stageBack + this.rows * this.cubeSize / 2;
+    }
+
+    start() {
+        this.startLevel();
+    }
+
+    // The first player, the only one in single-player games
+    get player() {
+        return this.players[0];
+    }
+
+    createPlayer(index) {
+        return {
+            index,
+            ...this.startPosition(index),
+            direction: 'down',
+            input: { up: false, down: false, left: false, right: false },
+            mark: null, // One mark per player: { key, col, row, x, z }
+            score: 0, // Points from this player's captures
+            crushed: false // Out until the next wave starts
+        };
+    }
+
+    // Near the front of the stage, side by side in two-player games
+    startPosition(index) {
+        const x = this.playerCount === 1 ? 0.5 : [-1.5, 1.5][index];
+        return { x, z: this.stageFront - 1.5 };
+    }
+
+    // Grid cell under a player's feet
+    cellOf(player) {
+        return { col: this.grid.toCol(player.x), row: this.grid.toRow(player.z) };
+    }
+
+    get playerCell() {
+        return this.cellOf(this.player);
+    }
+
+    // Advance the simulation by one TICK_MS
+    step() {
+        if (this.isGameOver) return;
+        this.tick++;
+        this.updatePlayers();
+        if (this.isGameOver) return;
+        this.updateChain();
+        if (this.isGameOver) return;
+        this.updateCubes();
+    }
+
+    setMoveInput({ up = false, down = false, left = false, right = false }, index = 0) {
+        const input = this.players[index].input;
+        if (input.up === up && input.down === down && input.left === left && input.right === right) return;
+
+        input.up = up;
+        input.down = down;
+        input.left = left;
+        input.right = right;
+        this.emit('input', 'move', { ...input }, index);
+    }
+
+    setFastForward(fastForward) {
+        if (this.fastForward === fastForward) return;
+        this.fastForward = fastForward;
+        this.emit('input', 'fastForward', fastForward, 0);
+    }
+
+    updatePlayers() {
+        this.players.forEach(player => {
+            if (!player.crushed && !this.isGameOver) {
+                this.updatePlayer(player);
+            }
+        });
+    }
+
+    updatePlayer(player) {
+        const input = player.input;
+        const distance = this.playerSpeed * TICK_MS / 1000;
+        let newX = player.x;
+        let newZ = player.z;
+
+        if (input.up) newZ -= distance;
+        if (input.down) newZ += distance;
+        if (input.left) newX -= distance;
+        if (input.right) newX += distance;
+
+        // Keep player within bounds
+        newX = Math.max(-this.cols/2 + 0.5, Math.min(this.cols/2 - 0.5, newX));
+        newZ = Math.max(this.stageBack + 0.5, Math.min(this.stageFront - 0.5, newZ));
+
+        // Check for collision with stationary cubes, rolling ones are ignored
+        const blocker = this.grid.get(this.grid.toCol(newX), this.grid.toRow(newZ));
+        const wouldCollide = blocker !== null && !blocker.roll;
+
+        if (!wouldCollide) {
+            const dx = newX - player.x;
+            const dz = newZ - player.z;
+            if (Math.abs(dx) > Math.abs(dz)) {
+                player.direction = dx > 0 ? 'right' : 'left';
+            } else if (Math.abs(dz) > 0) {
+                player.direction = dz > 0 ? 'down' : 'up';
+            }
+            player.x = newX;
+            player.z = newZ;
+        }
+
+        // Crushed once a cube rolling into the player's cell tips past halfway
+        const { col, row } = this.cellOf(player);
+        const roller = this.grid.get(col, row);
+        if (roller?.roll && roller.roll.progress >= 0.5) {
+            this.crushPlayer(player);
+        }
+    }
+
+    crushPlayer(player) {
+        player.crushed = true;
+        player.mark = null;
+        this.emit('playerCrushed', player.index);
+
+        if (this.players.every(other => other.crushed)) {
+            this.endGame('crushed');
+        }
+    }
+
+    startLevel() {
+        this.currentWave = 0;
+
+        if (this.puzzle) {
+            const level = this.puzzle.levels[this.level - 1];
+            if (!level) {
+                this.endGame('complete');
+                return;
+            }
+            this.wavesPerLevel = level.waves.length;
+            if (level.moveInterval) {
+                this.moveInterval = level.moveInterval;
+            }
+        } else {
+            const settings = levelSettings(this.difficulty, this.level);
+            this.wavesPerLevel = settings.wavesPerLevel;
+            this.moveInterval = settings.moveInterval;
+        }
+
+        this.generateWave();
+    }
+
+    generateWave() {
+        // Clear existing cubes
+        this.removeCubes(this.cubes, 'discarded');
+        this.waveMarks = 0;
+        this.waveMissed = 0;
+        this.waveCaptured = 0;
+        this.waveForbidden = 0;
+        this.waveTimeSaved = 0;
+        this.par = null;
+
+        if (this.puzzle) {
+            this.generatePuzzleWave(this.puzzle.levels[this.level - 1].waves[this.currentWave]);
+            this.beginWave();
+            return;
+        }
+
+        // Generate new wave based on level
+        const numRows = levelSettings(this.difficulty, this.level).depth;
+        const rowLength = this.cols; // Use full width of the stage
+
+        // Waves line up behind the back edge, front row first
+        for (let i = 0; i < numRows; i++) {
+            for (let j = 0; j < rowLength; j++) {
+                this.addCube(this.getRandomCubeType(), { col: j, row: -1 - i });
+            }
+        }
+
+        this.beginWave();
+    }
+
+    beginWave() {
+        this.landGarbage();
+        if (this.isGameOver) return;
+
+        // Crushed players come back for the new wave
+        this.players.forEach(player => {
+            if (!player.crushed) return;
+            Object.assign(player, this.startPosition(player.index), { direction: 'down', crushed: false });
+            this.emit('playerRespawned', player.index);
+        });
+
+        this.waveTargets = this.cubes.filter(cube => getCubeType(cube.type).target).length;
+        this.emit('waveStarted', this.level, this.currentWave);
+    }
+
+    // Queues garbage from a versus opponent for the next wave
+    addGarbage({ forbiddenRows = 0, stageRows = 0 }) {
+        if (this.isGameOver || forbiddenRows + stageRows <= 0) return;
+        this.emit('input', 'garbage', { forbiddenRows, stageRows }, 0);
+        this.garbage.forbiddenRows += forbiddenRows;
+        this.garbage.stageRows += stageRows;
+        this.emit('garbageQueued', { ...this.garbage });
+    }
+
+    // Lines the queued forbidden rows up behind the new wave and takes the
+    // queued rows off the stage. Uses no randomness, so garbage never throws
+    // the wave sequence out of step with the opponent's.
+    landGarbage() {
+        const garbage = this.garbage;
+        if (garbage.forbiddenRows === 0 && garbage.stageRows === 0) return;
+        this.garbage = { forbiddenRows: 0, stageRows: 0 };
+
+        const back = Math.min(0, ...this.cubes.map(cube => cube.row));
+        for (let i = 0; i < garbage.forbiddenRows; i++) {
+            for (let j = 0; j < this.cols; j++) {
+                this.addCube(GARBAGE_CUBE_TYPE, { col: j, row: back - 1 - i });
+            }
+        }
+        for (let i = 0; i < garbage.stageRows; i++) {
+            this.loseRow();
+        }
+        this.emit('garbageLanded', garbage);
+    }
+
+    // Ends a versus game in this player's favour once the opponent is out
+    opponentOut() {
+        if (this.isGameOver) return;
+        this.emit('input', 'opponentOut', null, 0);
+        this.endGame('won');
+    }
+
+    generatePuzzleWave(wave) {
+        this.par = wave.par ?? null;
+
+        // Grid lines are written back to front, so the last line spawns first in line
+        const depth = wave.grid.length;
+        wave.grid.forEach((line, lineIndex) => {
+            const i = depth - 1 - lineIndex;
+            line.forEach((type, j) => {
+                if (!type) return;
+                this.addCube(type, { col: j, row: -1 - i });
+            });
+        });
+    }
+
+    getRandomCubeType() {
+        // The level's cube mix, or the registry's spawn weights without one
+        const mix = levelSettings(this.difficulty, this.level).mix;
+        const weights = getCubeTypes()
+            .map(type => ({ name: type.name, weight: mix ? mix[type.name] ?? 0 : type.spawnWeight }))
+            .filter(({ weight }) => weight > 0);
+        const totalWeight = weights.reduce((sum, { weight }) => sum + weight, 0);
+        let roll = this.random.next() * totalWeight;
+        for (const { name, weight } of weights) {
+            if (roll < weight) return name;
+            roll -= weight;
+        }
+        return weights[weights.length - 1].name;
+    }
+
+    addCube(type, { col, row }) {
+        const cube = this.placeCube({ id: this.nextCubeId++, type, col, row });
+        this.cubes.push(cube);
+        this.emit('cubeAdded', cube);
+        return cube;
+    }
+
+    // Builds cube data on a cell and claims the cell, without emitting anything
+    placeCube({ id, type, col, row }) {
+        const cube = {
+            id,
+            type, // Name in the cube type registry
+            col,
+            row, // While rolling, the row the cube is rolling into
+            x: this.grid.toX(col),
+            y: 0.5,
+            z: this.grid.toZ(row),
+            roll: null // { fromZ, toZ, progress } while rolling
+        };
+        this.grid.set(col, row, cube);
+        return cube;
+    }
+
+    removeCubes(cubes, reason) {
+        const removed = new Set(cubes);
+        if (removed.size === 0) return;
+        this.cubes = this.cubes.filter(cube => !removed.has(cube));
+        removed.forEach(cube => {
+            this.grid.delete(cube.col, cube.row, cube);
+            this.emit('cubeRemoved', cube, reason);
+        });
+    }
+
+    // Cube on the cell, if any, including one that is rolling into it
+    cubeAt(col, row) {
+        return this.grid.get(col, row);
+    }
+
+    // Cube standing on the cell as drawn: like the crush check, a cube rolling
+    // in only counts once it tips past halfway, until then it is still on the
+    // cell it is leaving
+    cubeStandingOn(col, row) {
+        const cube = this.grid.get(col, row);
+        if (cube && !(cube.roll?.progress < 0.5)) return cube;
+        const leaving = this.grid.get(col, row + 1);
+        return leaving?.roll?.progress < 0.5 ? leaving : null;
+    }
+
+    updateCubes() {
+        // Cube time for this tick, sped up while fast-forward is held
+        const elapsed = this.fastForward ? TICK_MS * FAST_FORWARD_SPEED : TICK_MS;
+        this.waveTimeSaved += elapsed - TICK_MS;
+
+        this.moveTimer += elapsed;
+        if (this.moveTimer >= this.moveInterval) {
+            this.moveTimer -= this.moveInterval;
+
+            // Move cubes one cell at a time with rolling animation
+            let rolled = 0;
+            this.cubes.forEach(cube => {
+                if (!cube.roll) {
+                    this.grid.delete(cube.col, cube.row, cube);
+                    cube.row++;
+                    this.grid.set(cube.col, cube.row, cube);
+                    cube.roll = { fromZ: cube.z, toZ: this.grid.toZ(cube.row), progress: 0 };
+                    rolled++;
+                }
+            });
+            if (rolled > 0) {
+                this.emit('cubesRolled', rolled);
+            }
+
+            // Check if wave is complete
+            if (this.cubes.length === 0) {
+                this.completeWave();
+                return;
+            }
+        }
+
+        const fallen = [];
+        this.cubes.forEach(cube => {
+            if (!cube.roll) return;
+            const roll = cube.roll;
+            roll.progress += elapsed / this.rollDuration;
+            if (roll.progress < 1) {
+                cube.z = roll.fromZ + (roll.toZ - roll.fromZ) * roll.progress;
+            } else {
+                // Snap to final position
+                cube.z = roll.toZ;
+                cube.roll = null;
+
+                // Check if cube has rolled off the edge
+                if (cube.row >= this.rows) {
+                    fallen.push(cube);
+                }
+            }
+        });
+        this.dropCubes(fallen);
+    }
+
+    // Cubes going over the front edge, whatever their type does about it included
+    dropCubes(cubes) {
+        this.removeCubes(cubes, 'fell');
+        cubes.forEach(cube => getCubeType(cube.type).onFallOff(this, cube));
+    }
+
+    // A target cube got away, the stage pays for it when the wave ends
+    missCube(cube) {
+        this.waveMissed++;
+        this.emit('cubeMissed', cube, this.waveMissed);
+    }
+
+    // How well the wave that just ended was handled
+    evaluateWave() {
+        const clean = this.waveForbidden === 0;
+        const perfect = clean && this.waveTargets > 0 && this.waveCaptured === this.waveTargets;
+        let bonus = 0;
+        if (perfect) {
+            bonus = PERFECT_WAVE_BONUS;
+        } else if (clean) {
+            bonus = CLEAN_WAVE_BONUS;
+        }
+
+        // Rushing only pays when nothing got away
+        const timeBonus = this.waveMissed === 0
+            ? Math.floor(this.waveTimeSaved / 1000 * TIME_BONUS_PER_SECOND)
+            : 0;
+        bonus += timeBonus;
+
+        return {
+            marks: this.waveMarks,
+            par: this.par,
+            captured: this.waveCaptured,
+            total: this.waveTargets,
+            missed: this.waveMissed,
+            forbidden: this.waveForbidden,
+            clean,
+            perfect,
+            timeSaved: this.waveTimeSaved,
+            timeBonus,
+            bonus
+        };
+    }
+
+    completeWave() {
+        const result = this.evaluateWave();
+        this.emit('waveCompleted', this.level, this.currentWave, result);
+
+        if (result.bonus > 0) {
+            this.addScore(result.bonus);
+        }
+
+        // A perfect wave earns a lost row back
+        if (result.perfect) {
+            this.gainRow();
+        }
+
+        // The stage crumbles by one row for every cube that got away
+        for (let i = 0; i < result.missed && !this.isGameOver; i++) {
+            this.loseRow();
+        }
+        if (this.isGameOver) return;
+
+        this.currentWave++;
+        if (this.currentWave < this.wavesPerLevel) {
+            this.generateWave();
+        } else {
+            this.level++;
+            this.emit('levelChanged', this.level);
+            this.startLevel();
+        }
+    }
+
+    toggleMark(index = 0) {
+        if (this.isGameOver) return;
+        this.emit('input', 'mark', null, index);
+        const player = this.players[index];
+        if (player.crushed) return;
+
+        // If a cell is already marked, activate it
+        if (player.mark) {
+            const mark = player.mark;
+            player.mark = null;
+            this.waveMarks++;
+            this.emit('markActivated', mark, index);
+
+            const captured = this.cubeStandingOn(mark.col, mark.row);
+            const cubesCleared = this.takeCubes(captured ? [captured] : [], 'mark');
+            this.applyCaptures(cubesCleared, 'mark', 1, index);
+        } else {
+            // Mark a new cell under the player
+            const { col, row } = this.cellOf(player);
+            player.mark = { key: Grid.key(col, row), col, row, x: this.grid.toX(col), z: this.grid.toZ(row) };
+            this.emit('markPlaced', player.mark, index);
+        }
+    }
+
+    // Starts a detonation chain over every advantage area on the board.
+    // The first one goes off right away and the rest follow CHAIN_DELAY_MS apart.
+    // Whoever triggers it is credited with the whole chain.
+    triggerAllAdvantageSpots(index = 0) {
+        if (this.isGameOver || this.chain || this.advantageSpots.size === 0) return;
+        this.emit('input', 'advantage', null, index);
+
+        this.chain = { combo: 0, pending: Array.from(this.advantageSpots.keys()), timer: 0, player: index, detonating: null };
+        this.detonateNextSpot();
+    }
+
+    updateChain() {
+        if (!this.chain) return;
+        this.chain.timer += TICK_MS;
+        if (this.chain.timer >= CHAIN_DELAY_MS) {
+            this.chain.timer -= CHAIN_DELAY_MS;
+            this.detonateNextSpot();
+        }
+    }
+
+    detonateNextSpot() {
+        const chain = this.chain;
+        const key = chain.pending.shift();
+        const spot = this.advantageSpots.get(key);
+        if (spot) {
+            chain.detonating = key;
+            this.detonateSpot(spot, ++chain.combo);
+            chain.detonating = null;
+        }
+        if (chain.pending.length === 0 && this.chain === chain) {
+            this.chain = null;
+            this.emit('comboEnded', chain.combo);
+        }
+    }
+
+    // Clears the area's cells, the 3x3 around it clipped to the stage, so
+    // waiting cubes behind the stage are safe. Every detonation in a chain
+    // raises the score multiplier, and advantage cubes caught in the blast add
+    // their own area to the end of the chain.
+    detonateSpot(spot, combo) {
+        const cubes = spot.cells.map(({ col, row }) => this.cubeAt(col, row)).filter(Boolean);
+        const cubesCleared = this.takeCubes(cubes, 'area');
+        const cells = cubesCleared.map(cube => this.cell(cube.col, cube.row));
+
+        this.advantageSpots.delete(spot.key);
+        this.emit('advantageTriggered', spot, cells, combo);
+        this.applyCaptures(cubesCleared, 'area', combo, this.chain?.player ?? 0);
+    }
+
+    // Queues an area created mid-chain to detonate at the end of the chain. One
+    // reopened on the area going off right now stays on the board instead: the
+    // blast just emptied it, so going off again would only raise the combo.
+    chainSpot(spot) {
+        if (!this.chain || spot.key === this.chain.detonating) return;
+        this.chain.pending.push(spot.key);
+    }
+
+    // Takes captured cubes off the board, except the ones their type's
+    // onCapture keeps on the stage. Returns the cubes taken.
+    takeCubes(cubes, method) {
+        const taken = cubes.filter(cube => getCubeType(cube.type).onCapture(this, cube, method) !== false);
+        this.removeCubes(taken, method === 'area' ? 'cleared' : 'captured');
+        return taken;
+    }
+
+    // Scores cubes that were just taken off the board for the player who took
+    // them, then opens their advantage areas and takes their rows. Only rewards
+    // are multiplied, penalties stay as they are.
+    applyCaptures(cubes, method, multiplier = 1, index = 0) {
+        let points = 0;
+        cubes.forEach(cube => {
+            const type = getCubeType(cube.type);
+            const typePoints = method === 'area' ? type.areaScore : type.score;
+            points += typePoints > 0 ? typePoints * multiplier : typePoints;
+            if (type.target) {
+                this.waveCaptured++;
+            }
+        });
+        if (points !== 0) {
+            this.addScore(points, index);
+        }
+
+        cubes.forEach(cube => {
+            const type = getCubeType(cube.type);
+            if (type.createsArea) {
+                // Caught in a blast, its area joins the running chain
+                const spot = this.createAdvantageSpot(cube.col, cube.row);
+                if (method === 'area') {
+                    this.chainSpot(spot);
+                }
+            }
+            if (type.costsRow) {
+                this.handleForbiddenCube();
+            }
+        });
+    }
+
+    // { col, row, x, z } for a grid cell
+    cell(col, row) {
+        return { col, row, x: this.grid.toX(col), z: this.grid.toZ(row) };
+    }
+
+    createAdvantageSpot(col, row) {
+        const key = Grid.key(col, row);
+        const spot = { key, ...this.cell(col, row), cells: this.areaCells(col, row) };
+        this.advantageSpots.set(key, spot);
+        this.emit('advantageAdded', spot);
+        return spot;
+    }
+
+    // Cells an advantage area opened on a cell covers: the 3x3 around it,
+    // clipped to the stage
+    areaCells(col, row) {
+        const cells = [];
+        for (let dc = -1; dc <= 1; dc++) {
+            for (let dr = -1; dr <= 1; dr++) {
+                const cellCol = col + dc;
+                const cellRow = row + dr;
+                if (!this.grid.inColumns(cellCol) || cellRow < 0 || cellRow >= this.rows) {
+                    continue;
+                }
+                cells.push(this.cell(cellCol, cellRow));
+            }
+        }
+        return cells;
+    }
+
+    addScore(delta, index = null) {
+        this.score += delta;
+        if (index !== null) {
+            this.players[index].score += delta;
+        }
+        this.emit('scoreChanged', this.score, delta, index);
+    }
+
+    handleForbiddenCube() {
+        this.waveForbidden++;
+        this.loseRow();
+    }
+
+    loseRow() {
+        if (this.isGameOver) return;
+
+        const frontRow = this.rows - 1;
+        const frontRowZ = this.grid.toZ(frontRow);
+
+        // Anything standing on the front row goes down with it
+        this.dropCubes(this.cubes.filter(cube => cube.row === frontRow));
+
+        this.rows--;
+        this.players.forEach(player => {
+            player.z = Math.min(player.z, this.stageFront - 0.5);
+        });
+        this.emit('rowLost', frontRowZ);
+
+        // End the game once the stage gets too short
+        if (this.rows < 5) {
+            this.endGame('stage');
+        }
+    }
+
+    // Extends the front of the stage by a row, up to its starting length
+    gainRow() {
+        if (this.rows >= this.startRows) return;
+
+        this.rows++;
+        this.emit('rowGained', this.grid.toZ(this.rows - 1));
+    }
+
+    endGame(reason) {
+        if (this.isGameOver) return;
+        this.isGameOver = true;
+        this.gameOverReason = reason;
+        this.emit('gameOver', reason);
+    }
+}
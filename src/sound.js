@@ -0,0 +1,261 @@
+import { loadJSON, saveJSON } from './storage.js';
+
+// Sound effects and background music synthesized with Web Audio, so there are
+// no asset files. Browsers only allow audio after a user gesture: the context is
+// created by unlock(), and everything before that is silently skipped.
+//
+// The mixer is master <- { sfx, music }. Volumes (0..1) and mute are saved in
+// localStorage. Music is a 16-step loop scheduled a little ahead of time from
+// update(), which the game calls every frame, so it stops with the render loop.
+export const SOUND_CHANNELS = ['master', 'sfx', 'music'];
+
+const STORAGE_KEY = 'sound';
+const DEFAULT_SETTINGS = { master: 0.8, sfx: 0.8, music: 0.5, muted: false };
+
+const LOOKAHEAD = 0.15; // Seconds of music scheduled ahead of the audio clock
+const MIN_REPEAT = 0.03; // The same effect starting again within this many seconds is dropped
+
+// Music tempo in beats per minute: it speeds up as the stage shrinks toward
+// the 5 rows the game ends at
+export function tempoForRows(rows, startRows) {
+    const lost = (startRows - rows) / Math.max(startRows - 5, 1);
+    return 100 + 80 * Math.max(0, Math.min(1, lost));
+}
+
+// Notes as semitones from A4 (440 Hz)
+function frequency(semitones) {
+    return 440 * Math.pow(2, semitones / 12);
+}
+
+// Effects, each schedules its voices at time. options are passed through from play().
+const SOUNDS = {
+    // Cube tumbling one row: a low thud
+    roll: (engine, time) => {
+        engine.tone({ time, type: 'sine', from: 90, to: 45, duration: 0.18, volume: 0.5 });
+        engine.noise({ time, duration: 0.08, volume: 0.15, filter: 400 });
+    },
+    mark: (engine, time) => {
+        engine.tone({ time, type: 'square', from: 880, to: 880, duration: 0.06, volume: 0.15 });
+    },
+    activate: (engine, time) => {
+        engine.tone({ time, type: 'triangle', from: 300, to: 1200, duration: 0.15, volume: 0.3 });
+    },
+    capture: (engine, time) => {
+        engine.tone({ time, type: 'triangle', from: frequency(3), to: frequency(3), duration: 0.12, volume: 0.25 });
+        engine.tone({ time: time + 0.06, type: 'triangle', from: frequency(10), to: frequency(10), duration: 0.16, volume: 0.25 });
+    },
+    forbidden: (engine, time) => {
+        engine.tone({ time, type: 'sawtooth', from: 110, to: 80, duration: 0.4, volume: 0.3 });
+        engine.tone({ time, type: 'sawtooth', from: 116, to: 84, duration: 0.4, volume: 0.3 });
+    },
+    advantage: (engine, time) => {
+        engine.tone({ time, type: 'sine', from: frequency(15), to: frequency(15), duration: 0.25, volume: 0.2 });
+    },
+    // Advantage area going off, higher with every detonation of a chain
+    blast: (engine, time, { combo = 1 } = {}) => {
+        const pitch = Math.pow(2, Math.min(combo - 1, 12) / 12);
+        engine.noise({ time, duration: 0.35, volume: 0.4, filter: 1500 * pitch });
+        engine.tone({ time, type: 'sine', from: 220 * pitch, to: 55 * pitch, duration: 0.3, volume: 0.4 });
+    },
+    miss: (engine, time) => {
+        engine.tone({ time, type: 'square', from: 330, to: 220, duration: 0.2, volume: 0.15 });
+    },
+    rowLost: (engine, time) => {
+        engine.noise({ time, duration: 1.2, volume: 0.4, filter: 250 });
+        engine.tone({ time, type: 'sawtooth', from: 80, to: 30, duration: 1.2, volume: 0.3 });
+    },
+    rowGained: (engine, time) => {
+        [0, 4, 7, 12].forEach((note, index) => {
+            engine.tone({ time: time + index * 0.08, type: 'triangle', from: frequency(note), to: frequency(note), duration: 0.15, volume: 0.25 });
+        });
+    },
+    clean: (engine, time) => {
+        [3, 10].forEach((note, index) => {
+            engine.tone({ time: time + index * 0.1, type: 'square', from: frequency(note), to: frequency(note), duration: 0.15, volume: 0.12 });
+        });
+    },
+    perfect: (engine, time) => {
+        [0, 4, 7, 12, 16].forEach((note, index) => {
+            engine.tone({ time: time + index * 0.09, type: 'square', from: frequency(note), to: frequency(note), duration: 0.2, volume: 0.12 });
+        });
+    },
+    crushed: (engine, time) => {
+        engine.noise({ time, duration: 0.5, volume: 0.5, filter: 800 });
+        engine.tone({ time, type: 'sawtooth', from: 400, to: 40, duration: 1.5, volume: 0.35 });
+    },
+    gameOver: (engine, time) => {
+        [7, 3, 0, -5].forEach((note, index) => {
+            engine.tone({ time: time + index * 0.3, type: 'triangle', from: frequency(note - 12), to: frequency(note - 12), duration: 0.35, volume: 0.3 });
+        });
+    }
+};
+
+// Music loop: bass line and arpeggio in A minor, hi-hats on every step
+const BASS = [-36, null, -36, null, -29, null, -31, null, -36, null, -36, null, -28, null, -26, null];
+const ARPEGGIO = [0, 3, 7, 12, 7, 3, 0, 3, -2, 2, 5, 10, 5, 2, -2, 2];
+
+export class SoundEngine {
+    constructor() {
+        this.settings = { ...DEFAULT_SETTINGS, ...loadJSON(STORAGE_KEY, {}) };
+        this.context = null;
+        this.gains = {};
+        this.lastPlayed = {}; // Effect name -> audio time it last started
+        this.tempo = 110; // Music beats per minute
+        this.musicPlaying = false;
+        this.nextStepTime = 0;
+        this.step = 0;
+    }
+
+    // Creates (or resumes) the audio context; call from a user gesture
+    unlock() {
+        const AudioContext = globalThis.AudioContext ?? globalThis.webkitAudioContext;
+        if (!AudioContext) return;
+
+        if (!this.context) {
+            this.context = new AudioContext();
+            this.gains.master = this.context.createGain();
+            this.gains.master.connect(this.context.destination);
+            ['sfx', 'music'].forEach(channel => {
+                this.gains[channel] = this.context.createGain();
+                this.gains[channel].connect(this.gains.master);
+            });
+            this.applyVolumes();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    get muted() {
+        return this.settings.muted;
+    }
+
+    volume(channel) {
+        return this.settings[channel];
+    }
+
+    setVolume(channel, value) {
+        if (!SOUND_CHANNELS.includes(channel)) {
+            throw new Error(`Unknown sound channel "${channel}"`);
+        }
+        this.settings[channel] = Math.max(0, Math.min(1, Number(value)));
+        this.applyVolumes();
+        saveJSON(STORAGE_KEY, this.settings);
+    }
+
+    toggleMute() {
+        this.settings.muted = !this.settings.muted;
+        this.applyVolumes();
+        saveJSON(STORAGE_KEY, this.settings);
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+        const now = this.context.currentTime;
+        SOUND_CHANNELS.forEach(channel => {
+            const volume = channel === 'master' && this.settings.muted ? 0 : this.settings[channel];
+            this.gains[channel].gain.setTargetAtTime(volume, now, 0.02);
+        });
+    }
+
+    play(name, options) {
+        if (!this.context || this.settings.muted) return;
+        const sound = SOUNDS[name];
+        if (!sound) {
+            throw new Error(`Unknown sound "${name}"`);
+        }
+
+        const time = this.context.currentTime;
+        if (time - (this.lastPlayed[name] ?? -Infinity) < MIN_REPEAT) return;
+        this.lastPlayed[name] = time;
+        sound(this, time, options);
+    }
+
+    // Oscillator voice gliding from one frequency to another with a short attack
+    // and an exponential decay
+    tone({ time, type, from, to, duration, volume, channel = 'sfx' }) {
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(from, time);
+        if (to !== from) {
+            oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+        }
+        gain.gain.setValueAtTime(0.0001, time);
+        gain.gain.exponentialRampToValueAtTime(volume, time + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+        oscillator.connect(gain);
+        gain.connect(this.gains[channel]);
+        oscillator.start(time);
+        oscillator.stop(time + duration + 0.05);
+    }
+
+    // Low-passed white noise burst
+    noise({ time, duration, volume, filter, channel = 'sfx' }) {
+        const context = this.context;
+        if (!this.noiseBuffer) {
+            const length = context.sampleRate; // One second, looped for longer bursts
+            this.noiseBuffer = context.createBuffer(1, length, context.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+
+        const source = context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        source.loop = true;
+        const lowpass = context.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.value = filter;
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+        source.connect(lowpass);
+        lowpass.connect(gain);
+        gain.connect(this.gains[channel]);
+        source.start(time);
+        source.stop(time + duration + 0.05);
+    }
+
+    setTempo(bpm) {
+        this.tempo = bpm;
+    }
+
+    setMusicPlaying(playing) {
+        if (playing && !this.musicPlaying && this.context) {
+            this.nextStepTime = this.context.currentTime + 0.05;
+        }
+        this.musicPlaying = playing && !!this.context;
+    }
+
+    // Schedules the music steps that fall within the lookahead window
+    update() {
+        if (!this.context || !this.musicPlaying) return;
+
+        const stepLength = 60 / this.tempo / 4; // Sixteenth notes
+        const until = this.context.currentTime + LOOKAHEAD;
+        // After a stall (hidden tab) skip ahead instead of playing the backlog at once
+        if (this.nextStepTime < this.context.currentTime) {
+            this.nextStepTime = this.context.currentTime + 0.05;
+        }
+        while (this.nextStepTime < until) {
+            this.playStep(this.step, this.nextStepTime, stepLength);
+            this.nextStepTime += stepLength;
+            this.step = (this.step + 1) % BASS.length;
+        }
+    }
+
+    playStep(step, time, stepLength) {
+        if (this.settings.muted) return;
+        const bass = BASS[step];
+        if (bass !== null) {
+            this.tone({ time, type: 'triangle', from: frequency(bass), to: frequency(bass), duration: stepLength * 1.8, volume: 0.5, channel: 'music' });
+        }
+        const note = ARPEGGIO[step];
+        this.tone({ time, type: 'square', from: frequency(note), to: frequency(note), duration: stepLength * 0.8, volume: 0.06, channel: 'music' });
+        this.noise({ time, duration: 0.03, volume: step % 4 === 0 ? 0.12 : 0.05, filter: 8000, channel: 'music' });
+    }
+}
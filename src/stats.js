@@ -0,0 +1,148 @@
+import { getCubeType } from './cubeTypes.js';
+import { TICK_MS } from './simulation.js';
+
+// Play statistics for the end-of-game results and the I.Q. rating, collected
+// from simulation events so the rules never have to know about them. Like
+// InputRecorder it is attached to a simulation from the outside; a game resumed
+// from a save passes the stats saved with it, and a reset goes back to those.
+export class GameStats {
+    constructor(sim, levels = []) {
+        this.sim = sim;
+        this.initialLevels = levels;
+        this.reset();
+
+        sim.on('reset', () => this.reset());
+        sim.on('waveStarted', level => {
+            this.levelFor(level).targets += sim.waveTargets;
+        });
+        sim.on('waveCompleted', (level, wave, result) => {
+            const stats = this.levelFor(level);
+            stats.waves++;
+            if (result.perfect) stats.perfect++;
+            if (result.clean) stats.clean++;
+            stats.timeSaved += result.timeSaved;
+        });
+        sim.on('markActivated', () => {
+            this.levelFor(sim.level).marks++;
+        });
+        sim.on('cubeRemoved', (cube, reason) => {
+            if (reason !== 'captured' && reason !== 'cleared') return;
+            const stats = this.levelFor(sim.level);
+            const type = getCubeType(cube.type);
+            if (type.target) {
+                stats[reason]++;
+            }
+            if (type.costsRow) {
+                stats.forbidden++;
+            }
+        });
+        sim.on('cubeMissed', () => {
+            this.levelFor(sim.level).missed++;
+        });
+        sim.on('advantageTriggered', (spot, cells, combo) => {
+            const stats = this.levelFor(sim.level);
+            stats.detonations++;
+            stats.maxCombo = Math.max(stats.maxCombo, combo);
+        });
+        sim.on('rowLost', () => {
+            this.levelFor(sim.level).rowsLost++;
+        });
+        sim.on('rowGained', () => {
+            this.levelFor(sim.level).rowsGained++;
+        });
+        sim.on('scoreChanged', (score, delta) => {
+            this.levelFor(sim.level).score += delta;
+        });
+    }
+
+    reset() {
+        this.levels = this.initialLevels.map(level => ({ ...level })); // One entry per level reached, see levelFor()
+    }
+
+    levelFor(level) {
+        while (this.levels.length < level) {
+            this.levels.push({
+                level: this.levels.length + 1,
+                startTick: this.sim.tick,
+                waves: 0,
+                perfect: 0,
+                clean: 0,
+                targets: 0, // Target cubes the level's waves started with
+                captured: 0, // ...captured with a mark
+                cleared: 0, // ...cleared by an advantage area
+                missed: 0,
+                forbidden: 0,
+                marks: 0,
+                detonations: 0,
+                maxCombo: 0,
+                rowsLost: 0,
+                rowsGained: 0,
+                timeSaved: 0, // ms skipped by fast-forwarding
+                score: 0
+            });
+        }
+        return this.levels[level - 1];
+    }
+
+    toJSON() {
+        return this.levels.map(level => ({ ...level }));
+    }
+
+    // Per-level breakdown with play time, plus totals over the whole run
+    summary() {
+        const levels = this.levels.map((stats, index) => {
+            const next = this.levels[index + 1];
+            const ticks = (next ? next.startTick : this.sim.tick) - stats.startTick;
+            return { ...stats, time: ticks * TICK_MS };
+        });
+
+        const totals = {
+            waves: 0, perfect: 0, clean: 0, targets: 0, captured: 0, cleared: 0, missed: 0, forbidden: 0,
+            marks: 0, detonations: 0, maxCombo: 0, rowsLost: 0, rowsGained: 0, timeSaved: 0, time: 0
+        };
+        levels.forEach(stats => {
+            Object.keys(totals).forEach(key => {
+                totals[key] = key === 'maxCombo' ? Math.max(totals[key], stats[key]) : totals[key] + stats[key];
+            });
+        });
+
+        return {
+            levels,
+            totals: {
+                ...totals,
+                levelsReached: levels.length,
+                score: this.sim.score,
+                rows: this.sim.rows,
+                startRows: this.sim.startRows
+            }
+        };
+    }
+
+    rating() {
+        return computeRating(this.summary().totals);
+    }
+}
+
+// I.Q.-style rating from run totals. 100 is a decent run; it rewards capturing
+// everything (especially with advantage areas), perfect waves, keeping the
+// stage, playing fast and going deep, and punishes forbidden captures.
+export function computeRating(totals) {
+    const captured = totals.captured + totals.cleared;
+    const efficiency = totals.targets > 0 ? captured / totals.targets : 0;
+    const perfectRate = totals.waves > 0 ? totals.perfect / totals.waves : 0;
+    const advantageShare = captured > 0 ? totals.cleared / captured : 0;
+    const rowsKept = totals.startRows > 0 ? totals.rows / totals.startRows : 0;
+    const speed = totals.time > 0 ? totals.timeSaved / (totals.time + totals.timeSaved) : 0;
+    const forbiddenRate = totals.forbidden / Math.max(totals.waves, 1);
+
+    const rating = 50
+        + 40 * efficiency
+        + 30 * perfectRate
+        + 15 * advantageShare
+        + 15 * rowsKept
+        + 10 * speed
+        + Math.min(totals.waves, 40)
+        - 15 * Math.min(forbiddenRate, 2);
+
+    return Math.max(0, Math.round(rating));
+}
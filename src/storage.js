@@ -0,0 +1,31 @@
+// localStorage helpers. Storage can be unavailable (private browsing, quota,
+// Node), so failures are logged and treated as "nothing saved".
+const PREFIX = 'intelligent-qube:';
+
+export function loadJSON(key, fallback = null) {
+    try {
+        const value = globalThis.localStorage?.getItem(PREFIX + key);
+        return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+        console.warn(`Could not read ${key} from storage:`, error);
+        return fallback;
+    }
+}
+
+export function saveJSON(key, value) {
+    try {
+        globalThis.localStorage?.setItem(PREFIX + key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.warn(`Could not write ${key} to storage:`, error);
+        return false;
+    }
+}
+
+export function removeItem(key) {
+    try {
+        globalThis.localStorage?.removeItem(PREFIX + key);
+    } catch (error) {
+        console.warn(`Could not remove ${key} from storage:`, error);
+    }
+}
@@ -0,0 +1,163 @@
+// On-screen controls for touchscreens: a virtual joystick for movement and
+// MARK / TRIGGER / FAST / pause buttons. Held directions are read from `held`
+// like the keyboard and gamepad state; button taps call
+// onAction('mark' | 'advantage' | 'pause').
+const STICK_RADIUS = 50; // px the knob can travel from the center
+const STICK_DEADZONE = 0.3;
+
+// Phones and tablets: a touch screen and no mouse or trackpad. Touchscreen
+// laptops have a fine pointer too and keep the keyboard controls.
+export function isTouchDevice() {
+    if (typeof window === 'undefined' || !window.matchMedia) return false;
+    return window.matchMedia('(pointer: coarse)').matches && !window.matchMedia('(any-pointer: fine)').matches;
+}
+
+export class TouchControls {
+    constructor({ onAction }) {
+        this.onAction = onAction;
+        this.held = { up: false, down: false, left: false, right: false, fast: false };
+
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.left = '0';
+        this.element.style.right = '0';
+        this.element.style.bottom = '0';
+        this.element.style.height = '0';
+        this.element.style.zIndex = '1002';
+        this.element.appendChild(this.createStick());
+        this.element.appendChild(this.createButtons());
+        this.element.appendChild(this.createPauseButton());
+        document.body.appendChild(this.element);
+    }
+
+    createStick() {
+        const base = document.createElement('div');
+        base.style.position = 'fixed';
+        base.style.left = '30px';
+        base.style.bottom = '30px';
+        base.style.width = `${STICK_RADIUS * 2}px`;
+        base.style.height = `${STICK_RADIUS * 2}px`;
+        base.style.borderRadius = '50%';
+        base.style.backgroundColor = 'rgba(255, 255, 255, 0.15)';
+        base.style.border = '2px solid rgba(255, 255, 255, 0.4)';
+        base.style.touchAction = 'none';
+
+        const knob = document.createElement('div');
+        knob.style.position = 'absolute';
+        knob.style.left = '50%';
+        knob.style.top = '50%';
+        knob.style.width = '44px';
+        knob.style.height = '44px';
+        knob.style.margin = '-22px 0 0 -22px';
+        knob.style.borderRadius = '50%';
+        knob.style.backgroundColor = 'rgba(255, 255, 255, 0.6)';
+        knob.style.pointerEvents = 'none';
+        base.appendChild(knob);
+
+        const move = e => {
+            const rect = base.getBoundingClientRect();
+            let dx = e.clientX - (rect.left + rect.width / 2);
+            let dy = e.clientY - (rect.top + rect.height / 2);
+            const distance = Math.hypot(dx, dy);
+            if (distance > STICK_RADIUS) {
+                dx *= STICK_RADIUS / distance;
+                dy *= STICK_RADIUS / distance;
+            }
+            knob.style.transform = `translate(${dx}px, ${dy}px)`;
+            this.setDirection(dx / STICK_RADIUS, dy / STICK_RADIUS);
+        };
+        const release = () => {
+            knob.style.transform = '';
+            this.setDirection(0, 0);
+        };
+
+        base.addEventListener('pointerdown', e => {
+            base.setPointerCapture(e.pointerId);
+            move(e);
+        });
+        base.addEventListener('pointermove', e => {
+            if (base.hasPointerCapture(e.pointerId)) move(e);
+        });
+        base.addEventListener('pointerup', release);
+        base.addEventListener('pointercancel', release);
+
+        return base;
+    }
+
+    // Same diagonal rule as the gamepad stick
+    setDirection(x, y) {
+        const dominant = Math.max(Math.abs(x), Math.abs(y));
+        const active = Math.hypot(x, y) > STICK_DEADZONE;
+        const useX = active && Math.abs(x) > dominant / 2;
+        const useY = active && Math.abs(y) > dominant / 2;
+        this.held.left = useX && x < 0;
+        this.held.right = useX && x > 0;
+        this.held.up = useY && y < 0;
+        this.held.down = useY && y > 0;
+    }
+
+    createButtons() {
+        const buttons = document.createElement('div');
+        buttons.style.position = 'fixed';
+        buttons.style.right = '20px';
+        buttons.style.bottom = '30px';
+        buttons.style.display = 'flex';
+        buttons.style.gap = '12px';
+
+        const createButton = (text, color) => {
+            const button = document.createElement('div');
+            button.textContent = text;
+            button.style.width = '72px';
+            button.style.height = '72px';
+            button.style.lineHeight = '72px';
+            button.style.borderRadius = '50%';
+            button.style.textAlign = 'center';
+            button.style.fontFamily = 'monospace';
+            button.style.fontSize = '13px';
+            button.style.color = 'white';
+            button.style.backgroundColor = color;
+            button.style.userSelect = 'none';
+            button.style.touchAction = 'none';
+            buttons.appendChild(button);
+            return button;
+        };
+
+        const fast = createButton('FAST', 'rgba(0, 200, 255, 0.4)');
+        fast.addEventListener('pointerdown', () => {
+            this.held.fast = true;
+        });
+        ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => fast.addEventListener(type, () => {
+            this.held.fast = false;
+        }));
+
+        createButton('TRIGGER', 'rgba(0, 255, 0, 0.4)').addEventListener('pointerdown', () => this.onAction('advantage'));
+        createButton('MARK', 'rgba(255, 0, 0, 0.4)').addEventListener('pointerdown', () => this.onAction('mark'));
+
+        return buttons;
+    }
+
+    createPauseButton() {
+        const button = document.createElement('div');
+        button.textContent = 'II';
+        button.style.position = 'fixed';
+        button.style.top = '10px';
+        button.style.left = '50%';
+        button.style.width = '44px';
+        button.style.height = '44px';
+        button.style.lineHeight = '44px';
+        button.style.marginLeft = '-22px';
+        button.style.borderRadius = '50%';
+        button.style.textAlign = 'center';
+        button.style.fontFamily = 'monospace';
+        button.style.fontWeight = 'bold';
+        button.style.color = 'white';
+        button.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+        button.style.userSelect = 'none';
+        button.addEventListener('pointerdown', () => this.onAction('pause'));
+        return button;
+    }
+
+    set visible(visible) {
+        this.element.style.display = visible ? '' : 'none';
+    }
+}
@@ -0,0 +1,92 @@
+import { EventEmitter } from './events.js';
+
+// Head-to-head games over the network. Each player runs their own stage from
+// the same seed, so both face the same waves, and good play sends garbage to
+// the other side (see addGarbage() in simulation.js):
+//   perfect wave                   the opponent's stage loses a row
+//   advantage chain of N >= 2      N - 1 rows of forbidden cubes behind their next wave
+//
+// The two browsers talk through the relay in server/relay.js (npm run relay),
+// which pairs the first two players to join a room, deals out the seed and
+// passes everything else through. Messages are JSON objects with a type:
+//   client -> server  join         { room, difficulty }
+//   server -> client  waiting      {}                        in the room, no opponent yet
+//                     start        { seed, difficulty, player }  player: 1 joined first, 2 second
+//                     opponentLeft {}
+//                     error        { message }
+//   client -> client  garbage      { forbiddenRows, stageRows }
+//                     status       { score, rows, level }   for the opponent panel
+//                     gameOver     {}                        the sender is out
+export const DEFAULT_SERVER_URL = 'ws://localhost:8787';
+
+// Garbage a finished wave sends, or null
+export function garbageForWave(result) {
+    return result.perfect ? { forbiddenRows: 0, stageRows: 1 } : null;
+}
+
+// Garbage a finished advantage chain sends, or null
+export function garbageForCombo(combo) {
+    return combo >= 2 ? { forbiddenRows: combo - 1, stageRows: 0 } : null;
+}
+
+// Connection to the relay. Emits the server messages above by type with the
+// message as argument, plus 'closed' () when the connection goes away.
+export class VersusClient extends EventEmitter {
+    constructor(url = DEFAULT_SERVER_URL) {
+        super();
+        this.url = url;
+        this.socket = null;
+    }
+
+    get isConnected() {
+        return this.socket?.readyState === WebSocket.OPEN;
+    }
+
+    connect(room, difficulty) {
+        this.close();
+
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (error) {
+            this.emit('error', { message: `Bad server address: ${this.url}` });
+            return;
+        }
+        this.socket = socket;
+
+        socket.addEventListener('open', () => this.send('join', { room, difficulty }));
+        socket.addEventListener('message', event => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('Ignoring malformed versus message:', event.data);
+                return;
+            }
+            if (typeof message?.type === 'string') {
+                this.emit(message.type, message);
+            }
+        });
+        socket.addEventListener('error', () => {
+            if (this.socket === socket) {
+                this.emit('error', { message: `Could not reach ${this.url}` });
+            }
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.emit('closed');
+        });
+    }
+
+    send(type, data = {}) {
+        if (!this.isConnected) return;
+        this.socket.send(JSON.stringify({ ...data, type }));
+    }
+
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        socket?.close();
+    }
+}